@@ -3,21 +3,36 @@
  * Frontend application for displaying and searching high scores
  */
 
-const GAMES = ['castle-fireworks', 'pirates', 'haunted-mansion', 'jungle-cruise'];
 const PACIFIC_TZ = 'America/Los_Angeles';
 
+// Games registry, loaded from config/games.json (shared with the scraper)
+let GAMES = []; // game IDs in display order
+let gameInfo = new Map(); // gameId -> registry entry
+
 // State
-let allTimeData = null;
+let manifest = null; // data/manifest.json: which days have data and when we last scraped
 let dailyDataCache = new Map();
+let intradayDataCache = new Map();
+let aggregateCache = new Map(); // period -> precomputed leaderboard
 let doubleCreditDays = new Set();
-let userIndex = new Map(); // username -> { avatar, lastSeen, games: { gameId: { bestScore, date, rank } } }
+let playerSlugs = new Map(); // username -> slug of the player's file under data/players/
+let playerCache = new Map(); // username -> { username, slug, profile, history }, loaded on demand
+let usersFallback = new Map(); // username -> users.json entry, used until the scrape run writes the player index
 let allUsernames = []; // sorted list of all usernames for autocomplete
+let playerAliases = new Map(); // former username -> the indexed name their records are under
+let lookAlikeNames = new Map(); // username -> other indexed names that look identical
+let hasProfilePages = false; // whether data/profiles/ has a page for each indexed player
 let currentPeriod = 'today';
 let currentSearchQuery = '';
 let currentViewMode = 'all'; // 'all' or 'single'
-let currentGame = 'castle-fireworks'; // current game when in single view mode
+let currentGame = null; // current game when in single view mode
+let intradayScrapes = []; // every scrape of the day shown on the Today tab
+let selectedScrapeIndex = null; // index into intradayScrapes, null = latest board
+let todayAsOf = null; // scrapedAt of the Today board currently shown
 let trendCharts = new Map();
 let userCharts = new Map();
+let personalBestCharts = new Map(); // lowercased username -> PB step chart on their card
+let shownBoards = new Map(); // leaderboard element id -> the board data it shows, for the Share button
 
 // DOM Elements
 const loadingState = document.getElementById('loadingState');
@@ -26,11 +41,15 @@ const gamesGrid = document.getElementById('gamesGrid');
 const periodGrid = document.getElementById('periodGrid');
 const periodTabsWrapper = document.querySelector('.period-tabs-wrapper');
 const trendsSection = document.getElementById('trendsSection');
+const activitySection = document.getElementById('activitySection');
 const userHistorySection = document.getElementById('userHistorySection');
 const searchInput = document.getElementById('searchInput');
 const clearSearchBtn = document.getElementById('clearSearch');
 const lastUpdatedEl = document.getElementById('lastUpdated');
 const searchedUsernameEl = document.getElementById('searchedUsername');
+const intradayScrubberEl = document.getElementById('intradayScrubber');
+const intradayAsOfEl = document.getElementById('intradayAsOf');
+const intradayRangeEl = document.getElementById('intradayRange');
 
 /**
  * Get current date in Pacific Time
@@ -61,49 +80,26 @@ function getYesterdayPacific() {
 }
 
 /**
- * Get dates for the last N days
+ * Get the N dates up to and including endDate, oldest first
  */
-function getLastNDays(n) {
+function getDatesEndingOn(endDate, n) {
   const dates = [];
-  const now = new Date();
-  for (let i = 1; i <= n; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    dates.push(new Intl.DateTimeFormat('en-CA', {
-      timeZone: PACIFIC_TZ,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    }).format(date));
+  const end = new Date(`${endDate}T12:00:00Z`);
+  for (let i = n - 1; i >= 0; i--) {
+    const date = new Date(end);
+    date.setUTCDate(date.getUTCDate() - i);
+    dates.push(date.toISOString().slice(0, 10));
   }
   return dates;
 }
 
 /**
- * Get dates for the current calendar month
+ * Get the date after a yyyy-MM-dd date
  */
-function getCurrentMonthDates() {
-  const dates = [];
-  const now = new Date();
-  const pacificNow = new Intl.DateTimeFormat('en-CA', {
-    timeZone: PACIFIC_TZ,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  }).format(now);
-
-  const [year, month] = pacificNow.split('-');
-  const daysInMonth = new Date(year, month, 0).getDate();
-
-  for (let day = 1; day <= daysInMonth; day++) {
-    const dateStr = `${year}-${month}-${String(day).padStart(2, '0')}`;
-    // Only include past dates
-    if (dateStr <= pacificNow) {
-      dates.push(dateStr);
-    }
-  }
-
-  return dates;
+function getNextDate(date) {
+  const next = new Date(`${date}T12:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
 }
 
 /**
@@ -124,11 +120,98 @@ async function fetchJSON(url) {
 }
 
 /**
- * Load all-time data
+ * Load the games registry
+ */
+async function loadGameRegistry() {
+  const registry = await fetchJSON('config/games.json');
+  if (!registry?.games?.length) {
+    throw new Error('Games registry is missing or empty');
+  }
+
+  gameInfo = new Map(registry.games.map(game => [game.id, game]));
+  GAMES = registry.games.map(game => game.id);
+  currentGame = GAMES[0];
+}
+
+/**
+ * A leaderboard card with its Share and Export buttons
+ * idPrefix names the avatar and leaderboard elements ("<idPrefix>-leaderboard").
+ */
+function boardCardHtml(attributes, title, idPrefix) {
+  return `
+    <section class="game-card" ${attributes}>
+      <div class="game-header">
+        <h2>${escapeHtml(title)}</h2>
+        <button class="share-btn" title="Download this board as an image" aria-label="Share">📤</button>
+        <div class="export-btns"><button class="export-btn" data-format="csv" title="Download every entry as CSV">CSV</button><button class="export-btn" data-format="json" title="Download every entry as JSON">JSON</button></div>
+      </div>
+      <div class="game-content">
+        <div class="top-player" id="${idPrefix}-avatar">
+          <div class="avatar-placeholder"></div>
+        </div>
+        <ol class="leaderboard" id="${idPrefix}-leaderboard"></ol>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Build the per-game parts of the page from the registry: info links, game
+ * selector, leaderboard cards, trend charts and score history charts, plus
+ * the "By Game" view's card for each period tab
+ */
+function renderGameLayout() {
+  const games = GAMES.map(gameId => gameInfo.get(gameId));
+
+  document.getElementById('myScoresLinks').innerHTML = games
+    .filter(game => game.myScoresUrl)
+    .map(game => `<a href="${game.myScoresUrl}" target="_blank">${game.icon} ${escapeHtml(game.shortName)}</a>`)
+    .join('');
+
+  document.querySelector('.game-selector').innerHTML = games.map(game => `
+    <button class="game-selector-btn${game.id === currentGame ? ' active' : ''}" data-game="${game.id}">
+      <span class="game-icon">${game.icon}</span>
+      <span class="game-name">${escapeHtml(game.selectorLabel || game.shortName)}</span>
+    </button>
+  `).join('');
+
+  gamesGrid.innerHTML = games.map(game => boardCardHtml(
+    `data-game="${game.id}" style="--game-accent: ${hexToRgb(game.color)}"`, game.name, game.id
+  )).join('');
+
+  periodGrid.innerHTML = Array.from(document.querySelectorAll('.period-tab'), tab => boardCardHtml(
+    `data-period="${tab.dataset.period}"`, tab.textContent.trim(), `period-${tab.dataset.period}`
+  )).join('');
+
+  document.getElementById('trendsGrid').innerHTML = games.map(game => `
+    <div class="trend-card">
+      <h3>${escapeHtml(game.name)}</h3>
+      <canvas id="chart-${game.id}"></canvas>
+    </div>
+  `).join('');
+
+  document.getElementById('userHistoryGrid').innerHTML = games.map(game => `
+    <div class="user-history-card">
+      <h3>${escapeHtml(game.name)}</h3>
+      <canvas id="user-chart-${game.id}"></canvas>
+    </div>
+  `).join('');
+}
+
+/**
+ * Load the manifest of available data
+ */
+async function loadManifest() {
+  manifest = await fetchJSON('data/manifest.json');
+  return manifest;
+}
+
+/**
+ * Whether a day has a daily file, so missing days are never requested
+ * Without a manifest, assume it might and let the request find out.
  */
-async function loadAllTimeData() {
-  allTimeData = await fetchJSON('data/all-time.json');
-  return allTimeData;
+function hasDailyData(date) {
+  return !manifest || Boolean(manifest.days[date]);
 }
 
 /**
@@ -143,119 +226,160 @@ async function loadDoubleCreditDays() {
 }
 
 /**
- * Load persistent user index from users.json
+ * Load the name-only player index used for autocomplete
+ * Until the scrape run has written it, players come from users.json instead,
+ * with their profiles but no per-day history.
  */
-async function loadUserIndex() {
-  userIndex.clear();
-
-  const usersData = await fetchJSON('data/users.json');
-  if (!usersData?.users) {
-    console.warn('No users.json found or empty');
-    return;
+async function loadPlayerIndex() {
+  playerSlugs.clear();
+  usersFallback.clear();
+
+  let index = await fetchJSON('data/player-index.json');
+  if (!index?.players) {
+    const usersData = await fetchJSON('data/users.json');
+    if (!usersData?.users) {
+      console.warn('No player-index.json or users.json found');
+      return;
+    }
+    console.warn('No player-index.json found, using users.json');
+    usersFallback = new Map(Object.entries(usersData.users));
+    index = {
+      aliases: Object.fromEntries(Object.entries(usersData.users).flatMap(([username, user]) =>
+        (user.formerNames || []).map(formerName => [formerName, username]))),
+      lookAlikes: usersData.lookAlikes
+    };
   }
 
-  // Convert object to Map
-  for (const [username, userData] of Object.entries(usersData.users)) {
-    userIndex.set(username, userData);
+  playerSlugs = new Map(Object.entries(index.players || {}));
+  hasProfilePages = index.profilePages === true;
+  playerAliases = new Map(Object.entries(index.aliases || {}));
+  lookAlikeNames = new Map();
+  for (const group of index.lookAlikes || []) {
+    for (const name of group) {
+      lookAlikeNames.set(name, group.filter(other => other !== name));
+    }
   }
 
   // Build sorted username list for autocomplete
-  allUsernames = Array.from(userIndex.keys()).sort((a, b) =>
+  allUsernames = Array.from(usersFallback.size > 0 ? usersFallback.keys() : playerSlugs.keys()).sort((a, b) =>
     a.toLowerCase().localeCompare(b.toLowerCase())
   );
 
-  console.log(`Loaded user index with ${allUsernames.length} users`);
+  console.log(`Loaded player index with ${allUsernames.length} players`);
 }
 
 /**
- * Load daily data for a specific date
+ * Load one player's detail file, or their users.json entry before there's an
+ * index, or null if they aren't a known player
  */
-async function loadDailyData(date) {
-  if (dailyDataCache.has(date)) {
-    return dailyDataCache.get(date);
+async function loadPlayer(username) {
+  if (playerCache.has(username)) {
+    return playerCache.get(username);
   }
 
-  const data = await fetchJSON(`data/daily/${date}.json`);
-  if (data) {
-    dailyDataCache.set(date, data);
+  const slug = playerSlugs.get(username);
+  let player = slug ? await fetchJSON(`data/players/${slug}.json`) : null;
+  if (!player && usersFallback.has(username)) {
+    player = { username, slug: null, profile: usersFallback.get(username), history: {} };
   }
-  return data;
+  if (player) {
+    playerCache.set(username, player);
+  }
+  return player;
 }
 
 /**
- * Load data for multiple dates
+ * Marker for names that look identical to other players' names, or ''
  */
-async function loadMultipleDays(dates) {
-  const results = await Promise.all(dates.map(loadDailyData));
-  return results.filter(Boolean);
+function lookAlikeMarkerHtml(username) {
+  const others = lookAlikeNames.get(username);
+  if (!others) return '';
+  const title = `Looks like ${others.join(', ')}. Check the spelling; these are different players.`;
+  return `<span class="look-alike-marker" title="${escapeHtml(title)}">≈</span>`;
 }
 
 /**
- * Aggregate scores across multiple days (best score per user)
+ * The player's static profile page (data/profiles/), or null if they aren't
+ * indexed or the pages haven't been generated
  */
-function aggregateScores(dailyDataArray, scoreType = 'yesterday') {
-  const aggregated = {};
+function profileUrl(username) {
+  if (!hasProfilePages) return null;
+  const slug = playerSlugs.get(username) || playerSlugs.get(playerAliases.get(username));
+  return slug ? `data/profiles/${slug}.html` : null;
+}
 
-  for (const gameId of GAMES) {
-    const userBestScores = new Map();
-
-    for (const dayData of dailyDataArray) {
-      const gameData = dayData.games?.[gameId];
-      if (!gameData) continue;
-
-      const scores = gameData[scoreType]?.scores || gameData.yesterday?.scores || [];
-      for (const entry of scores) {
-        const existing = userBestScores.get(entry.username);
-        if (!existing || entry.score > existing.score) {
-          userBestScores.set(entry.username, {
-            username: entry.username,
-            score: entry.score,
-            date: dayData.date
-          });
-        }
-      }
-    }
+/**
+ * A username that links to the player's profile page when they have one
+ */
+function profileLinkHtml(username) {
+  const url = profileUrl(username);
+  return url
+    ? `<a href="${url}" class="profile-link">${escapeHtml(username)}</a>`
+    : escapeHtml(username);
+}
 
-    // Sort by score descending
-    const sorted = Array.from(userBestScores.values())
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10)
-      .map((entry, index) => ({
-        rank: index + 1,
-        username: entry.username,
-        score: entry.score
-      }));
-
-    aggregated[gameId] = {
-      scores: sorted,
-      topAvatar: sorted[0]?.username ? findAvatarForUser(dailyDataArray, gameId, sorted[0].username) : null
-    };
+/**
+ * Find the indexed username matching a name or a former name, ignoring case
+ */
+function findUsername(name) {
+  const lowerName = name.toLowerCase();
+  const match = allUsernames.find(u => u.toLowerCase() === lowerName);
+  if (match) return match;
+
+  for (const [formerName, username] of playerAliases) {
+    if (formerName.toLowerCase() === lowerName) return username;
   }
+  return null;
+}
 
-  return aggregated;
+/**
+ * Load daily data for a specific date
+ */
+async function loadDailyData(date) {
+  if (dailyDataCache.has(date)) {
+    return dailyDataCache.get(date);
+  }
+  if (!hasDailyData(date)) {
+    return null;
+  }
+
+  const data = await fetchJSON(`data/daily/${date}.json`);
+  if (data) {
+    dailyDataCache.set(date, data);
+  }
+  return data;
 }
 
 /**
- * Find avatar for a user from daily data
- * @param {boolean} prioritizeHighscores - If true, check highscores first (for all-time lookups)
+ * Load the intra-day scrape history for a specific date
  */
-function findAvatarForUser(dailyDataArray, gameId, username, prioritizeHighscores = false) {
-  // For all-time scores, prioritize highscores period since that's where all-time records live
-  const periods = prioritizeHighscores
-    ? ['highscores', 'yesterday', 'today']
-    : ['yesterday', 'today', 'highscores'];
+async function loadIntradayData(date) {
+  if (intradayDataCache.has(date)) {
+    return intradayDataCache.get(date);
+  }
+  if (manifest && !manifest.days[date]?.intradayScrapes) {
+    return null;
+  }
 
-  for (const dayData of dailyDataArray) {
-    const gameData = dayData.games?.[gameId];
-    if (!gameData) continue;
+  const data = await fetchJSON(`data/intraday/${date}.json`);
+  if (data) {
+    intradayDataCache.set(date, data);
+  }
+  return data;
+}
 
-    for (const period of periods) {
-      if (gameData[period]?.scores?.[0]?.username === username) {
-        return gameData[period].topAvatar;
-      }
-    }
+/**
+ * Load a precomputed period leaderboard (week, month, year or alltime)
+ */
+async function loadAggregate(period) {
+  if (aggregateCache.has(period)) {
+    return aggregateCache.get(period);
   }
-  return null;
+  const data = await fetchJSON(`data/aggregates/${period}.json`);
+  if (data) {
+    aggregateCache.set(period, data);
+  }
+  return data;
 }
 
 /**
@@ -264,23 +388,32 @@ function findAvatarForUser(dailyDataArray, gameId, username, prioritizeHighscore
 async function getScoresForPeriod(period) {
   switch (period) {
     case 'today': {
-      const todayDate = getPacificDate();
-      let data = await loadDailyData(todayDate);
+      // Until today's first scrape lands, keep showing yesterday's board
+      let todayDate = getPacificDate();
+      if (!hasDailyData(todayDate)) {
+        todayDate = getYesterdayPacific();
+      }
+      const data = await loadDailyData(todayDate);
 
-      // If today's file doesn't exist yet, try yesterday's file as fallback
       if (!data) {
-        const yesterdayDate = getYesterdayPacific();
-        data = await loadDailyData(yesterdayDate);
+        intradayScrapes = [];
+        todayAsOf = null;
+        return null;
       }
 
-      if (!data) return null;
+      // Earlier scrapes of the day, for the "as of" scrubber
+      const intraday = await loadIntradayData(todayDate);
+      intradayScrapes = intraday?.scrapes || [];
+      const scrape = selectedScrapeIndex !== null ? intradayScrapes[selectedScrapeIndex] : null;
+      todayAsOf = scrape ? scrape.scrapedAt : data.scrapedAt;
 
       const result = {};
       for (const gameId of GAMES) {
-        const gameData = data.games?.[gameId];
+        const gameData = scrape ? scrape.games?.[gameId] : data.games?.[gameId]?.today;
         result[gameId] = {
-          scores: gameData?.today?.scores || [],
-          topAvatar: gameData?.today?.topAvatar
+          scores: gameData?.scores || [],
+          topAvatar: gameData?.topAvatar,
+          date: todayDate
         };
       }
       return result;
@@ -290,7 +423,7 @@ async function getScoresForPeriod(period) {
       const yesterdayDate = getYesterdayPacific();
       const data = await loadDailyData(yesterdayDate);
       if (!data) {
-        // Try today's file which contains yesterday's scores
+        // Fall back to today's file, whose "yesterday" column has yesterday's scores
         const todayDate = getPacificDate();
         const todayData = await loadDailyData(todayDate);
         if (todayData) {
@@ -299,7 +432,8 @@ async function getScoresForPeriod(period) {
             const gameData = todayData.games?.[gameId];
             result[gameId] = {
               scores: gameData?.yesterday?.scores || [],
-              topAvatar: gameData?.yesterday?.topAvatar
+              topAvatar: gameData?.yesterday?.topAvatar,
+              date: yesterdayDate
             };
           }
           return result;
@@ -311,49 +445,27 @@ async function getScoresForPeriod(period) {
         const gameData = data.games?.[gameId];
         result[gameId] = {
           scores: gameData?.yesterday?.scores || [],
-          topAvatar: gameData?.yesterday?.topAvatar
+          topAvatar: gameData?.yesterday?.topAvatar,
+          date: yesterdayDate
         };
       }
       return result;
     }
 
-    case 'week': {
-      const dates = getLastNDays(7);
-      const dailyData = await loadMultipleDays(dates);
-      if (dailyData.length === 0) return null;
-      return aggregateScores(dailyData, 'yesterday');
-    }
-
-    case 'month': {
-      const dates = getCurrentMonthDates();
-      const dailyData = await loadMultipleDays(dates);
-      if (dailyData.length === 0) return null;
-      return aggregateScores(dailyData, 'yesterday');
-    }
-
+    case 'week':
+    case 'month':
+    case 'year':
     case 'alltime': {
-      if (!allTimeData) return null;
-
-      // Load recent daily data to find correct avatars
-      // Search through 30 days to ensure we find the user even if they haven't played recently
-      // The 'highscores' section in daily files contains all-time records, so this should work
-      const dates = getLastNDays(30);
-      const dailyData = await loadMultipleDays(dates);
+      // Precomputed by the scraper, avatars already resolved
+      const aggregate = await loadAggregate(period);
+      if (!aggregate) return null;
 
       const result = {};
       for (const gameId of GAMES) {
-        const gameData = allTimeData.games?.[gameId];
-        const scores = gameData?.scores?.slice(0, 10) || [];
-        const topPlayer = scores[0];
-
-        // Find the correct avatar for the #1 player from daily data, prioritizing highscores
-        const topAvatar = topPlayer && dailyData.length > 0
-          ? findAvatarForUser(dailyData, gameId, topPlayer.username, true)
-          : gameData?.topAvatar; // fallback to data file avatar if no daily data
-
+        const gameData = aggregate.games?.[gameId];
         result[gameId] = {
-          scores,
-          topAvatar
+          scores: gameData?.scores || [],
+          topAvatar: gameData?.topAvatar
         };
       }
       return result;
@@ -373,62 +485,19 @@ function renderLeaderboard(gameId, data, searchQuery = '') {
 
   if (!leaderboardEl) return;
 
-  // Clear existing content
-  leaderboardEl.innerHTML = '';
-
-  const scores = data?.scores || [];
-  const topPlayer = scores[0];
-  const searchLower = searchQuery.toLowerCase();
-
-  // Render top player section with avatar and info
-  if (avatarEl) {
-    if (topPlayer) {
-      const isHighlighted = searchQuery && topPlayer.username.toLowerCase().includes(searchLower);
-      const avatarImg = data?.topAvatar
-        ? `<img src="data/avatars/${data.topAvatar}" alt="${escapeHtml(topPlayer.username)}" onerror="this.outerHTML='<div class=\\'avatar-placeholder\\'></div>'">`
-        : '<div class="avatar-placeholder"></div>';
-
-      avatarEl.innerHTML = `
-        ${avatarImg}
-        <div class="top-player-info${isHighlighted ? ' highlighted' : ''}">
-          <span class="top-player-rank">#1</span>
-          <span class="top-player-name">${escapeHtml(topPlayer.username)}</span>
-          <span class="top-player-score">${topPlayer.score.toLocaleString()}</span>
-        </div>
-      `;
-    } else {
-      avatarEl.innerHTML = '<div class="avatar-placeholder"></div><div class="top-player-info"><span class="top-player-name">No data</span></div>';
-    }
-  }
-
-  // Render scores 2-10 in leaderboard
-  if (scores.length <= 1) {
-    leaderboardEl.innerHTML = '<li class="empty-state">No additional scores</li>';
-    return;
-  }
-
-  for (const entry of scores.slice(1)) {
-    const li = document.createElement('li');
-    const isHighlighted = searchQuery && entry.username.toLowerCase().includes(searchLower);
-
-    li.className = `rank-${entry.rank}${isHighlighted ? ' highlighted' : ''}`;
-    li.innerHTML = `
-      <span class="rank">${entry.rank}</span>
-      <span class="username">${escapeHtml(entry.username)}</span>
-      <span class="score">${entry.score.toLocaleString()}</span>
-    `;
-
-    leaderboardEl.appendChild(li);
-  }
+  renderBoard(leaderboardEl, avatarEl, data, searchQuery);
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Escape HTML to prevent XSS; quotes too, so the result is safe in attribute values
  */
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
@@ -440,16 +509,13 @@ async function renderAllLeaderboards() {
     gamesGrid.style.display = 'none';
     periodGrid.style.display = 'grid';
 
-    // Apply game-specific class to period cards for styling
-    const gameClass = getGameClass(currentGame);
-    const periods = ['today', 'yesterday', 'week', 'month', 'alltime'];
+    // Apply the game's accent color to period cards for styling
+    const accent = hexToRgb(gameInfo.get(currentGame).color);
+    const periods = Array.from(document.querySelectorAll('.period-tab'), tab => tab.dataset.period);
     for (const period of periods) {
       const periodCard = document.querySelector(`.game-card[data-period="${period}"]`);
       if (periodCard) {
-        // Remove all game classes
-        periodCard.classList.remove('fireworks', 'pirates', 'haunted', 'jungle');
-        // Add current game class
-        periodCard.classList.add(gameClass);
+        periodCard.style.setProperty('--game-accent', accent);
       }
 
       const data = await getScoresForPeriod(period);
@@ -476,6 +542,27 @@ async function renderAllLeaderboards() {
       renderLeaderboard(gameId, data[gameId], currentSearchQuery);
     }
   }
+
+  updateIntradayScrubber();
+}
+
+/**
+ * Show the "as of" time and scrubber for the Today tab
+ */
+function updateIntradayScrubber() {
+  if (!intradayScrubberEl) return;
+
+  const showScrubber = currentViewMode === 'all' && currentPeriod === 'today' && todayAsOf;
+  intradayScrubberEl.style.display = showScrubber ? 'flex' : 'none';
+  if (!showScrubber) return;
+
+  intradayAsOfEl.textContent = formatDateTime(todayAsOf);
+
+  // Only worth scrubbing once there's more than one scrape for the day
+  const lastIndex = intradayScrapes.length - 1;
+  intradayRangeEl.style.display = lastIndex > 0 ? 'block' : 'none';
+  intradayRangeEl.max = Math.max(lastIndex, 0);
+  intradayRangeEl.value = selectedScrapeIndex ?? lastIndex;
 }
 
 /**
@@ -487,10 +574,42 @@ function renderPeriodLeaderboard(period, gameId, data, searchQuery = '') {
 
   if (!leaderboardEl) return;
 
+  renderBoard(leaderboardEl, avatarEl, data, searchQuery);
+}
+
+/**
+ * Competition ranks (1, 2, 2, 4) for a board sorted best first, with tied
+ * entries flagged. Worked out from the scores so older data shows ties too.
+ */
+function withDisplayRanks(scores) {
+  const ranked = [];
+  scores.forEach((entry, i) => {
+    const tiedWithPrevious = i > 0 && entry.score === scores[i - 1].score;
+    ranked.push({ ...entry, rank: tiedWithPrevious ? ranked[i - 1].rank : i + 1, tied: false });
+    if (tiedWithPrevious) {
+      ranked[i - 1].tied = true;
+      ranked[i].tied = true;
+    }
+  });
+  return ranked;
+}
+
+/**
+ * Rank label for an entry from withDisplayRanks: "T2" for a shared rank
+ */
+function formatRank(entry, prefix = '') {
+  return entry.tied ? `T${entry.rank}` : `${prefix}${entry.rank}`;
+}
+
+/**
+ * Render the top player box and the rest of a leaderboard list
+ */
+function renderBoard(leaderboardEl, avatarEl, data, searchQuery) {
   // Clear existing content
   leaderboardEl.innerHTML = '';
+  shownBoards.set(leaderboardEl.id, data);
 
-  const scores = data?.scores || [];
+  const scores = withDisplayRanks(data?.scores || []);
   const topPlayer = scores[0];
   const searchLower = searchQuery.toLowerCase();
 
@@ -501,12 +620,13 @@ function renderPeriodLeaderboard(period, gameId, data, searchQuery = '') {
       const avatarImg = data?.topAvatar
         ? `<img src="data/avatars/${data.topAvatar}" alt="${escapeHtml(topPlayer.username)}" onerror="this.outerHTML='<div class=\\'avatar-placeholder\\'></div>'">`
         : '<div class="avatar-placeholder"></div>';
+      const rankTitle = topPlayer.tied ? ' title="Tied for #1"' : '';
 
       avatarEl.innerHTML = `
         ${avatarImg}
         <div class="top-player-info${isHighlighted ? ' highlighted' : ''}">
-          <span class="top-player-rank">#1</span>
-          <span class="top-player-name">${escapeHtml(topPlayer.username)}</span>
+          <span class="top-player-rank"${rankTitle}>${formatRank(topPlayer, '#')}</span>
+          <span class="top-player-name">${profileLinkHtml(topPlayer.username)}</span>
           <span class="top-player-score">${topPlayer.score.toLocaleString()}</span>
         </div>
       `;
@@ -524,11 +644,12 @@ function renderPeriodLeaderboard(period, gameId, data, searchQuery = '') {
   for (const entry of scores.slice(1)) {
     const li = document.createElement('li');
     const isHighlighted = searchQuery && entry.username.toLowerCase().includes(searchLower);
+    const rankTitle = entry.tied ? ` title="Tied for #${entry.rank}"` : '';
 
-    li.className = `rank-${entry.rank}${isHighlighted ? ' highlighted' : ''}`;
+    li.className = `rank-${entry.rank}${entry.tied ? ' tied' : ''}${isHighlighted ? ' highlighted' : ''}`;
     li.innerHTML = `
-      <span class="rank">${entry.rank}</span>
-      <span class="username">${escapeHtml(entry.username)}</span>
+      <span class="rank"${rankTitle}>${formatRank(entry)}</span>
+      <span class="username">${profileLinkHtml(entry.username)}</span>
       <span class="score">${entry.score.toLocaleString()}</span>
     `;
 
@@ -537,16 +658,11 @@ function renderPeriodLeaderboard(period, gameId, data, searchQuery = '') {
 }
 
 /**
- * Get CSS class name for a game
+ * Convert a "#rrggbb" color to an "r, g, b" triple for use in rgba()
  */
-function getGameClass(gameId) {
-  const classMap = {
-    'castle-fireworks': 'fireworks',
-    'pirates': 'pirates',
-    'haunted-mansion': 'haunted',
-    'jungle-cruise': 'jungle'
-  };
-  return classMap[gameId] || gameId;
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
 }
 
 /**
@@ -573,8 +689,15 @@ function createTrendChart(gameId, data) {
   for (let i = 0; i < data.scores.length; i++) {
     const isDouble = data.isDoubleCreditDay?.[i];
     const isLow = data.isLowParticipation?.[i];
+    const isReconstructed = data.isReconstructed?.[i];
 
-    if (isDouble && isLow) {
+    if (isReconstructed) {
+      // Rebuilt from the next day's data: hollow grey diamond
+      pointStyles.push('rectRot');
+      pointColors.push('rgba(160, 160, 192, 0.2)');
+      pointBorderColors.push('#a0a0c0');
+      pointRadii.push(5);
+    } else if (isDouble && isLow) {
       // Both: star with orange color
       pointStyles.push('star');
       pointColors.push('#ff9500');
@@ -616,7 +739,12 @@ function createTrendChart(gameId, data) {
         pointBackgroundColor: pointColors,
         pointBorderColor: pointBorderColors,
         pointRadius: pointRadii,
-        pointHoverRadius: 8
+        pointHoverRadius: 8,
+        // Missing days are null points - bridge them with a dashed line
+        spanGaps: true,
+        segment: {
+          borderDash: (ctx) => (ctx.p0.skip || ctx.p1.skip) ? [6, 6] : undefined
+        }
       }]
     },
     options: {
@@ -637,6 +765,9 @@ function createTrendChart(gameId, data) {
               if (data.isLowParticipation?.[idx]) {
                 lines.push('Low Participation (<10 players)');
               }
+              if (data.isReconstructed?.[idx]) {
+                lines.push('Reconstructed from the next day\'s data');
+              }
               return lines;
             }
           }
@@ -672,23 +803,39 @@ function createTrendChart(gameId, data) {
  * Get color for a game
  */
 function getGameColor(gameId, alpha = 1) {
-  const colors = {
-    'castle-fireworks': `rgba(255, 107, 157, ${alpha})`,
-    'pirates': `rgba(78, 205, 196, ${alpha})`,
-    'haunted-mansion': `rgba(157, 78, 221, ${alpha})`,
-    'jungle-cruise': `rgba(124, 181, 24, ${alpha})`
-  };
-  return colors[gameId] || `rgba(107, 76, 230, ${alpha})`;
+  const color = gameInfo.get(gameId)?.color;
+  return color ? `rgba(${hexToRgb(color)}, ${alpha})` : `rgba(107, 76, 230, ${alpha})`;
+}
+
+/**
+ * The board a game ended a day with: the day's final board, or for a day that
+ * was never finalized, the next day's "yesterday" column, and failing both the
+ * latest "today" we scraped
+ */
+function getDayBoard(dayData, nextDayData, gameId) {
+  const gameData = dayData.games?.[gameId];
+  if (gameData?.final) return gameData.final;
+
+  const nextBoard = nextDayData?.date === getNextDate(dayData.date) ? nextDayData.games?.[gameId]?.yesterday : null;
+  if (nextBoard?.scores?.length) return nextBoard;
+
+  return gameData?.today || { topAvatar: null, scores: [] };
 }
 
 /**
  * Load and render trend charts
  */
 async function loadTrendCharts() {
-  const dates = getLastNDays(30).reverse();
-  const dailyData = await loadMultipleDays(dates);
-
-  if (dailyData.length === 0) {
+  // The 30 days up to yesterday, or up to the latest data if scraping has stalled
+  const yesterday = getYesterdayPacific();
+  const endDate = manifest?.latestDate && manifest.latestDate < yesterday ? manifest.latestDate : yesterday;
+  const dates = getDatesEndingOn(endDate, 30);
+  // Keep one entry per date (null when missing) so gaps show up on the charts.
+  // The day after the last one is loaded too, for its "yesterday" column.
+  const dailyByDate = await Promise.all([...dates, getNextDate(endDate)].map(loadDailyData));
+  const firstIndex = dailyByDate.slice(0, dates.length).findIndex(Boolean);
+
+  if (firstIndex === -1) {
     trendsSection.style.display = 'none';
     return;
   }
@@ -701,12 +848,26 @@ async function loadTrendCharts() {
       scores: [],
       rawDates: [],
       isDoubleCreditDay: [],
-      isLowParticipation: []
+      isLowParticipation: [],
+      isReconstructed: []
     };
 
-    for (const dayData of dailyData.sort((a, b) => a.date.localeCompare(b.date))) {
-      const gameData = dayData.games?.[gameId];
-      const scores = gameData?.yesterday?.scores || gameData?.highscores?.scores || [];
+    for (let i = firstIndex; i < dates.length; i++) {
+      const date = dates[i];
+      const dayData = dailyByDate[i];
+
+      if (!dayData) {
+        // Missing day: null point, drawn as a dashed gap
+        chartData.labels.push(formatDateShort(date));
+        chartData.scores.push(null);
+        chartData.rawDates.push(date);
+        chartData.isDoubleCreditDay.push(false);
+        chartData.isLowParticipation.push(false);
+        chartData.isReconstructed.push(false);
+        continue;
+      }
+
+      const scores = getDayBoard(dayData, dailyByDate[i + 1], gameId).scores;
       const topScore = scores[0]?.score || 0;
 
       if (topScore > 0) {
@@ -715,10 +876,11 @@ async function loadTrendCharts() {
         chartData.rawDates.push(dayData.date);
         chartData.isDoubleCreditDay.push(doubleCreditDays.has(dayData.date));
         chartData.isLowParticipation.push(scores.length < 10);
+        chartData.isReconstructed.push(Boolean(dayData.reconstructed));
       }
     }
 
-    if (chartData.scores.length > 0) {
+    if (chartData.scores.some(score => score !== null)) {
       createTrendChart(gameId, chartData);
     }
   }
@@ -741,42 +903,26 @@ async function searchUserHistory(username) {
     return;
   }
 
-  searchedUsernameEl.textContent = username;
+  const match = findUsername(username);
+  const player = match ? await loadPlayer(match) : null;
 
-  const dates = getLastNDays(30).reverse();
-  const dailyData = await loadMultipleDays(dates);
-
-  if (dailyData.length === 0) {
+  // The search may have changed while the player's file was loading
+  if (!player || currentSearchQuery !== username) {
     userHistorySection.style.display = 'none';
     return;
   }
 
+  searchedUsernameEl.textContent = player.username;
+
   let hasData = false;
 
   for (const gameId of GAMES) {
+    const history = player.history[gameId] || [];
     const chartData = {
-      labels: [],
-      scores: []
+      labels: history.map(day => formatDateShort(day.date)),
+      scores: history.map(day => day.score)
     };
-
-    for (const dayData of dailyData.sort((a, b) => a.date.localeCompare(b.date))) {
-      const gameData = dayData.games?.[gameId];
-      const allScores = [
-        ...(gameData?.yesterday?.scores || []),
-        ...(gameData?.today?.scores || []),
-        ...(gameData?.highscores?.scores || [])
-      ];
-
-      const userScore = allScores.find(s =>
-        s.username.toLowerCase() === username.toLowerCase()
-      );
-
-      if (userScore) {
-        chartData.labels.push(formatDateShort(dayData.date));
-        chartData.scores.push(userScore.score);
-        hasData = true;
-      }
-    }
+    if (history.length > 0) hasData = true;
 
     createUserHistoryChart(gameId, chartData);
   }
@@ -851,6 +997,7 @@ function createUserHistoryChart(gameId, data) {
  */
 function handlePeriodChange(period) {
   currentPeriod = period;
+  selectedScrapeIndex = null;
 
   // Update active tab
   document.querySelectorAll('.period-tab').forEach(tab => {
@@ -885,6 +1032,7 @@ function handleSearch(query) {
  */
 function handleViewModeChange(viewMode) {
   currentViewMode = viewMode;
+  selectedScrapeIndex = null;
 
   // Update active view toggle button
   document.querySelectorAll('.view-toggle-btn').forEach(btn => {
@@ -923,27 +1071,20 @@ function handleGameSelection(gameId) {
  */
 async function init() {
   try {
-    // Load all-time data and double credit days
-    await loadAllTimeData();
-    await loadDoubleCreditDays();
-
-    // Load today's data to get "yesterday" scores
-    const todayDate = getPacificDate();
-    await loadDailyData(todayDate);
+    // Everything per-game on the page is built from the registry
+    await loadGameRegistry();
+    renderGameLayout();
 
-    // Also try yesterday's file
-    const yesterdayDate = getYesterdayPacific();
-    await loadDailyData(yesterdayDate);
+    // Load the manifest first so no request is made for data that doesn't exist
+    await loadManifest();
+    await loadDoubleCreditDays();
 
-    // Load persistent user index for autocomplete and user cards
-    await loadUserIndex();
+    // Load the player search index for autocomplete; player details load on demand
+    await loadPlayerIndex();
 
-    // Update last updated time (use daily data's scrapedAt for more precise time)
-    const todayData = dailyDataCache.get(todayDate);
-    if (todayData?.scrapedAt) {
-      lastUpdatedEl.textContent = formatDateTime(todayData.scrapedAt);
-    } else if (allTimeData?.lastUpdated) {
-      lastUpdatedEl.textContent = formatDate(allTimeData.lastUpdated);
+    // Update last updated time
+    if (manifest?.lastScrapedAt) {
+      lastUpdatedEl.textContent = formatDateTime(manifest.lastScrapedAt);
     } else {
       lastUpdatedEl.textContent = 'Not available';
     }
@@ -958,6 +1099,8 @@ async function init() {
     // Load trend charts
     await loadTrendCharts();
 
+    await loadActivityFeed();
+
   } catch (error) {
     console.error('Initialization failed:', error);
     loadingState.style.display = 'none';
@@ -965,19 +1108,245 @@ async function init() {
   }
 }
 
+// Events shown in the Recent Activity feed
+const ACTIVITY_FEED_SIZE = 15;
+
 /**
- * Format date for display
+ * The latest events from the two newest monthly logs in the manifest, newest first
  */
-function formatDate(dateStr) {
-  const date = new Date(dateStr + 'T12:00:00');
-  return date.toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
+async function loadRecentEvents() {
+  const months = manifest?.eventMonths?.slice(-2) || [];
+  const logs = await Promise.all(months.map(month => fetchJSON(`data/events/${month}.json`)));
+
+  // Each log is oldest first
+  return logs.flatMap(log => log?.events || []).reverse().slice(0, ACTIVITY_FEED_SIZE);
+}
+
+/**
+ * What happened in an event, after the player's name
+ */
+function describeEvent(event) {
+  const game = escapeHtml(gameInfo.get(event.gameId)?.name || event.gameId);
+  const score = `<strong>${event.score.toLocaleString()}</strong>`;
+
+  switch (event.type) {
+    case 'all-time-record':
+      return event.previous
+        ? `set a new ${game} record of ${score}, beating ${escapeHtml(event.previous.username)}'s ${event.previous.score.toLocaleString()}`
+        : `set the first ${game} record of ${score}`;
+    case 'all-time-top-10':
+      return `entered the ${game} all-time top 10 at #${event.rank} with ${score}`;
+    case 'personal-best':
+      return `set a ${game} personal best of ${score}, up from ${event.previous.score.toLocaleString()}`;
+    case 'daily-winner':
+      return `won the day in ${game} with ${score}`;
+    default:
+      return `${game}: ${score}`;
+  }
+}
+
+/**
+ * Render the Recent Activity feed
+ */
+async function loadActivityFeed() {
+  const feedEl = document.getElementById('activityFeed');
+  if (!feedEl) return;
+
+  const events = await loadRecentEvents();
+  if (events.length === 0) {
+    activitySection.style.display = 'none';
+    return;
+  }
+
+  feedEl.innerHTML = events.map(event => {
+    const avatarHtml = event.avatar
+      ? `<img src="data/avatars/${event.avatar}" alt="${escapeHtml(event.username)}" class="activity-avatar" onerror="this.outerHTML='<div class=\\'activity-avatar-placeholder\\'></div>'">`
+      : '<div class="activity-avatar-placeholder"></div>';
+
+    return `
+      <li class="activity-item activity-${event.type}" style="--game-accent: ${hexToRgb(gameInfo.get(event.gameId)?.color || '#ffd700')}">
+        ${avatarHtml}
+        <div class="activity-text">
+          <span class="activity-icon">${gameInfo.get(event.gameId)?.icon || ''}</span>
+          <button class="activity-username" data-username="${escapeHtml(event.username)}">${escapeHtml(event.username)}</button>
+          ${describeEvent(event)}
+        </div>
+        <span class="activity-date">${formatDateShort(event.date)}</span>
+      </li>
+    `;
+  }).join('');
+
+  activitySection.style.display = 'block';
+}
+
+// Open a player's card from the activity feed
+document.addEventListener('click', (e) => {
+  const nameBtn = e.target.closest('.activity-username');
+  if (nameBtn) {
+    addUserCard(nameBtn.dataset.username);
+  }
+});
+
+/**
+ * Save a blob through the browser's download
+ */
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * An image as a data: URI, or null if it can't be loaded
+ * Images inside an SVG drawn to a canvas have to be inlined like this.
+ */
+async function imageDataUri(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download the board on a game card as a PNG share card (js/share-cards.js)
+ */
+async function downloadShareCard(card) {
+  const gameId = card.dataset.game || currentGame;
+  const period = card.dataset.period || currentPeriod;
+  const data = shownBoards.get(card.querySelector('.leaderboard').id);
+  const game = gameInfo.get(gameId);
+
+  const periodLabel = document.querySelector(`.period-tab[data-period="${period}"]`)?.textContent || period;
+  const svg = window.ShareCards.boardCardSvg({
+    gameName: game.name,
+    color: game.color,
+    title: periodLabel,
+    subtitle: period === 'today' && todayAsOf ? `as of ${formatDateTime(todayAsOf)}` : '',
+    scores: withDisplayRanks(data?.scores || []),
+    avatar: data?.topAvatar ? await imageDataUri(`data/avatars/${data.topAvatar}`) : null
   });
+
+  const svgUrl = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    image.src = svgUrl;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = window.ShareCards.CARD_WIDTH;
+    canvas.height = window.ShareCards.CARD_HEIGHT;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    downloadBlob(blob, `myvmk-${gameId}-${period}.png`);
+  } finally {
+    URL.revokeObjectURL(svgUrl);
+  }
+}
+
+// Share buttons on the game and period cards
+document.addEventListener('click', (e) => {
+  const shareBtn = e.target.closest('.share-btn');
+  if (!shareBtn) return;
+
+  shareBtn.disabled = true;
+  downloadShareCard(shareBtn.closest('.game-card'))
+    .catch(error => console.error('Creating the share image failed:', error))
+    .finally(() => { shareBtn.disabled = false; });
+});
+
+// Columns of exported boards and player histories, matching scripts/export.js
+const BOARD_EXPORT_COLUMNS = ['game', 'rank', 'username', 'score', 'date'];
+const HISTORY_EXPORT_COLUMNS = ['username', 'game', 'date', 'rank', 'score'];
+
+/**
+ * Every entry of the board on a game or period card, not just the top 10 shown
+ * The scraper writes the full week, month and year boards under
+ * data/aggregates/full/; the all-time board is all-time.json.
+ */
+async function loadFullBoard(gameId, period, shown) {
+  let board = null;
+  if (period === 'alltime') {
+    board = await fetchJSON('data/all-time.json');
+  } else if (['week', 'month', 'year'].includes(period)) {
+    board = await fetchJSON(`data/aggregates/full/${period}.json`);
+  }
+  return board?.games?.[gameId]?.scores || shown?.scores || [];
 }
 
+/**
+ * Download every entry of the board on a game or period card as CSV or JSON
+ */
+async function exportBoard(card, format) {
+  const gameId = card.dataset.game || currentGame;
+  const period = card.dataset.period || currentPeriod;
+  const shown = shownBoards.get(card.querySelector('.leaderboard').id);
+
+  const scores = withDisplayRanks(await loadFullBoard(gameId, period, shown));
+  const rows = scores.map(entry => ({
+    game: gameId,
+    rank: entry.rank,
+    username: entry.username,
+    score: entry.score,
+    date: entry.achievedOn || shown?.date || null
+  }));
+
+  const filename = `myvmk-${gameId}-${period}.${format}`;
+  if (format === 'csv') {
+    downloadBlob(new Blob([window.Csv.toCsv(BOARD_EXPORT_COLUMNS, rows)], { type: 'text/csv' }), filename);
+  } else {
+    const json = { game: gameId, period, exportedAt: new Date().toISOString(), scores: rows };
+    downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }), filename);
+  }
+}
+
+/**
+ * Download a player's file, or their placements on every day's board as CSV
+ */
+async function exportPlayer(username, format) {
+  const player = await loadPlayer(username);
+  if (!player) return;
+
+  const filename = `myvmk-${player.slug || player.username.replace(/[^\w-]+/g, '_')}.${format}`;
+  if (format === 'csv') {
+    const rows = GAMES.flatMap(gameId => (player.history[gameId] || []).map(day => ({
+      username: player.username,
+      game: gameId,
+      ...day
+    })));
+    downloadBlob(new Blob([window.Csv.toCsv(HISTORY_EXPORT_COLUMNS, rows)], { type: 'text/csv' }), filename);
+  } else {
+    downloadBlob(new Blob([JSON.stringify(player, null, 2)], { type: 'application/json' }), filename);
+  }
+}
+
+// Export buttons on the game and period cards and on user cards
+document.addEventListener('click', (e) => {
+  const exportBtn = e.target.closest('.export-btn');
+  if (!exportBtn) return;
+
+  const userCard = exportBtn.closest('.user-card');
+  const exported = userCard
+    ? exportPlayer(userCard.dataset.username, exportBtn.dataset.format)
+    : exportBoard(exportBtn.closest('.game-card'), exportBtn.dataset.format);
+
+  exportBtn.disabled = true;
+  exported
+    .catch(error => console.error('Export failed:', error))
+    .finally(() => { exportBtn.disabled = false; });
+});
+
 /**
  * Format date and time for display
  */
@@ -1014,10 +1383,16 @@ function showAutocomplete(query) {
     return;
   }
 
-  // Filter usernames
+  // Filter usernames, then players matching by a former name
   const matches = allUsernames
     .filter(name => name.toLowerCase().includes(currentTerm))
-    .slice(0, 8);
+    .map(name => ({ name, formerName: null }));
+  for (const [formerName, name] of playerAliases) {
+    if (formerName.toLowerCase().includes(currentTerm) && !matches.some(m => m.name === name)) {
+      matches.push({ name, formerName });
+    }
+  }
+  matches.splice(8);
 
   if (matches.length === 0) {
     hideAutocomplete();
@@ -1025,9 +1400,9 @@ function showAutocomplete(query) {
   }
 
   // Build dropdown HTML
-  dropdown.innerHTML = matches.map((name, idx) => `
+  dropdown.innerHTML = matches.map(({ name, formerName }, idx) => `
     <div class="autocomplete-item${idx === selectedAutocompleteIndex ? ' selected' : ''}" data-username="${escapeHtml(name)}">
-      ${escapeHtml(name)}
+      ${escapeHtml(name)}${lookAlikeMarkerHtml(name)}${formerName ? ` <span class="autocomplete-former-name">formerly ${escapeHtml(formerName)}</span>` : ''}
     </div>
   `).join('');
 
@@ -1050,25 +1425,11 @@ function selectAutocompleteItem(username) {
 }
 
 // ===== Inline User Cards =====
-const GAME_ICONS = {
-  'castle-fireworks': '🎆',
-  'pirates': '🏴‍☠️',
-  'haunted-mansion': '👻',
-  'jungle-cruise': '🌴'
-};
-
-const GAME_NAMES = {
-  'castle-fireworks': 'Fireworks',
-  'pirates': 'POTC',
-  'haunted-mansion': 'Haunted Mansion',
-  'jungle-cruise': 'Jungle Cruise'
-};
-
 // Track displayed user cards
 let displayedUsers = new Set();
 
-function createUserCardHtml(name, includeRemoveBtn = true) {
-  const user = userIndex.get(name);
+function createUserCardHtml(name, player, includeRemoveBtn = true) {
+  const user = player?.profile;
   const removeBtn = includeRemoveBtn
     ? `<button class="user-card-remove" data-username="${escapeHtml(name)}" aria-label="Remove">&times;</button>`
     : '';
@@ -1095,20 +1456,41 @@ function createUserCardHtml(name, includeRemoveBtn = true) {
   // Format last appearance info
   let lastAppearanceText = 'No recent activity';
   if (user.lastAppearance) {
-    const gameIcon = GAME_ICONS[user.lastAppearance.game] || '';
+    const gameIcon = gameInfo.get(user.lastAppearance.game)?.icon || '';
     const dateFormatted = formatDateShort(user.lastAppearance.date);
     lastAppearanceText = `${gameIcon} #${user.lastAppearance.rank} on ${dateFormatted}`;
   } else if (user.lastSeen) {
     lastAppearanceText = `Last seen: ${formatDateShort(user.lastSeen)}`;
   }
 
+  // Records from other spellings are merged into this player (config/aliases.json)
+  const formerNamesHtml = user.formerNames?.length
+    ? `<p class="user-card-former-names">Also seen as ${user.formerNames.map(escapeHtml).join(', ')}</p>`
+    : '';
+
+  // PB progression step chart, one game at a time
+  const personalBestGames = GAMES.filter(gameId => personalBestsOf(user.games[gameId]).length > 0);
+  const personalBestsHtml = personalBestGames.length > 0 ? `
+      <div class="user-card-pb">
+        <div class="user-card-pb-header">
+          <span class="user-card-pb-title">Personal bests</span>
+          <div class="user-card-pb-tabs">
+            ${personalBestGames.map((gameId, idx) => `
+              <button class="user-card-pb-tab${idx === 0 ? ' active' : ''}" data-game="${gameId}" title="${escapeHtml(gameInfo.get(gameId).name)}">${gameInfo.get(gameId).icon}</button>
+            `).join('')}
+          </div>
+        </div>
+        <div class="user-card-pb-chart"><canvas></canvas></div>
+      </div>
+  ` : '';
+
   const gamesHtml = GAMES.map(gameId => {
     const gameData = user.games[gameId];
     if (!gameData || !gameData.bestScore) {
       return `
         <div class="user-game-row">
-          <span class="user-game-icon">${GAME_ICONS[gameId]}</span>
-          <span class="user-game-name">${GAME_NAMES[gameId]}</span>
+          <span class="user-game-icon">${gameInfo.get(gameId).icon}</span>
+          <span class="user-game-name">${escapeHtml(gameInfo.get(gameId).shortName)}</span>
           <span class="user-game-score">—</span>
           <span class="user-game-context">No data</span>
         </div>
@@ -1124,8 +1506,8 @@ function createUserCardHtml(name, includeRemoveBtn = true) {
 
     return `
       <div class="user-game-row">
-        <span class="user-game-icon">${GAME_ICONS[gameId]}</span>
-        <span class="user-game-name">${GAME_NAMES[gameId]}</span>
+        <span class="user-game-icon">${gameInfo.get(gameId).icon}</span>
+        <span class="user-game-name">${escapeHtml(gameInfo.get(gameId).shortName)}</span>
         <span class="user-game-score">${gameData.bestScore.toLocaleString()}</span>
         <span class="user-game-context">${context}</span>
       </div>
@@ -1138,21 +1520,127 @@ function createUserCardHtml(name, includeRemoveBtn = true) {
       <div class="user-card-header">
         ${avatarHtml}
         <div class="user-card-info">
-          <h3 class="user-card-name">${escapeHtml(name)}</h3>
+          <h3 class="user-card-name">${profileLinkHtml(name)}${lookAlikeMarkerHtml(name)}</h3>
           <p class="user-card-subtitle">${lastAppearanceText}</p>
+          ${formerNamesHtml}
         </div>
       </div>
       <div class="user-card-games">
         ${gamesHtml}
       </div>
+      ${personalBestsHtml}
+      <div class="user-card-export">
+        <button class="export-btn" data-format="csv" title="Download every day's placements as CSV">Export CSV</button>
+        <button class="export-btn" data-format="json" title="Download the player's records and history as JSON">Export JSON</button>
+      </div>
     </div>
   `;
 }
 
-function addUserCard(username) {
+const PERSONAL_BEST_PERIODS = {
+  today: "on the day's board",
+  yesterday: "on the day's final board",
+  highscores: 'on the all-time board'
+};
+
+/**
+ * A game's PB progression; players not seen since they were first kept only have their best
+ */
+function personalBestsOf(gameStats) {
+  if (gameStats?.personalBests) return gameStats.personalBests;
+  return gameStats?.date ? [{ date: gameStats.date, score: gameStats.bestScore, period: null, rank: gameStats.rank }] : [];
+}
+
+// Dates as whole days, so the PB chart spaces steps by time between them
+const toDayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / 86400000;
+const fromDayNumber = (day) => new Date(day * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Draw a player's PB progression in one game as a step chart on their card
+ */
+function renderPersonalBestChart(card, player, gameId) {
+  const canvas = card.querySelector('.user-card-pb-chart canvas');
+  if (!canvas) return;
+
+  card.querySelectorAll('.user-card-pb-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.game === gameId);
+  });
+
+  const key = player.username.toLowerCase();
+  personalBestCharts.get(key)?.destroy();
+
+  const points = personalBestsOf(player.profile.games[gameId])
+    .map(pb => ({ x: toDayNumber(pb.date), y: pb.score, pb }));
+  // Hold the latest PB out to the last time they were seen
+  const lastSeen = player.profile.lastSeen;
+  if (lastSeen && toDayNumber(lastSeen) > points.at(-1).x) {
+    points.push({ x: toDayNumber(lastSeen), y: points.at(-1).y, pb: null });
+  }
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      datasets: [{
+        label: 'Personal best',
+        data: points,
+        stepped: 'after',
+        borderColor: getGameColor(gameId),
+        backgroundColor: getGameColor(gameId, 0.1),
+        fill: true,
+        pointRadius: points.map(p => (p.pb ? 4 : 0)),
+        pointHoverRadius: points.map(p => (p.pb ? 7 : 0))
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          filter: (item) => item.raw.pb !== null,
+          callbacks: {
+            title: (items) => formatDateShort(items[0].raw.pb.date),
+            label: (item) => {
+              const { score, period, rank } = item.raw.pb;
+              const where = period ? ` ${PERSONAL_BEST_PERIODS[period]}${rank ? ` (#${rank})` : ''}` : '';
+              return `${score.toLocaleString()}${where}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          grid: {
+            color: 'rgba(255, 255, 255, 0.1)'
+          },
+          ticks: {
+            color: '#a0a0c0',
+            maxTicksLimit: 4,
+            callback: (value) => formatDateShort(fromDayNumber(Math.round(value)))
+          }
+        },
+        y: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.1)'
+          },
+          ticks: {
+            color: '#a0a0c0',
+            callback: (value) => value.toLocaleString()
+          }
+        }
+      }
+    }
+  });
+
+  personalBestCharts.set(key, chart);
+}
+
+async function addUserCard(username) {
   // Find exact match (case-insensitive)
-  const exactMatch = allUsernames.find(u => u.toLowerCase() === username.toLowerCase());
-  const name = exactMatch || username;
+  const name = findUsername(username) || username;
 
   // Don't add duplicate
   if (displayedUsers.has(name.toLowerCase())) {
@@ -1164,22 +1652,33 @@ function addUserCard(username) {
   const container = document.getElementById('userCardsInline');
   if (!container) return;
 
-  // Add the card
-  const cardHtml = createUserCardHtml(name);
-  container.insertAdjacentHTML('beforeend', cardHtml);
-  container.style.display = 'flex';
-
   // Clear search input and hide autocomplete
   searchInput.value = '';
   hideAutocomplete();
 
   // Show clear button when cards are displayed
   clearSearchBtn.style.display = 'block';
+
+  // Fetch the player's details only now that their card is opened
+  const player = await loadPlayer(name);
+  if (!displayedUsers.has(name.toLowerCase())) return; // removed while loading
+
+  // Add the card
+  const cardHtml = createUserCardHtml(name, player);
+  container.insertAdjacentHTML('beforeend', cardHtml);
+  container.style.display = 'flex';
+
+  const firstTab = container.lastElementChild.querySelector('.user-card-pb-tab');
+  if (firstTab) {
+    renderPersonalBestChart(container.lastElementChild, player, firstTab.dataset.game);
+  }
 }
 
 function removeUserCard(username) {
   const lowerName = username.toLowerCase();
   displayedUsers.delete(lowerName);
+  personalBestCharts.get(lowerName)?.destroy();
+  personalBestCharts.delete(lowerName);
 
   const container = document.getElementById('userCardsInline');
   if (!container) return;
@@ -1200,6 +1699,8 @@ function removeUserCard(username) {
 
 function clearAllUserCards() {
   displayedUsers.clear();
+  personalBestCharts.forEach(chart => chart.destroy());
+  personalBestCharts.clear();
   const container = document.getElementById('userCardsInline');
   if (container) {
     container.innerHTML = '';
@@ -1217,19 +1718,42 @@ document.addEventListener('click', (e) => {
   }
 });
 
+// Switch the game shown in a card's PB chart
+document.addEventListener('click', (e) => {
+  const tab = e.target.closest('.user-card-pb-tab');
+  if (!tab) return;
+
+  const card = tab.closest('.user-card');
+  const player = playerCache.get(card.dataset.username);
+  if (player) {
+    renderPersonalBestChart(card, player, tab.dataset.game);
+  }
+});
+
 // Event Listeners
 document.querySelectorAll('.view-toggle-btn').forEach(btn => {
   btn.addEventListener('click', () => handleViewModeChange(btn.dataset.view));
 });
 
-document.querySelectorAll('.game-selector-btn').forEach(btn => {
-  btn.addEventListener('click', () => handleGameSelection(btn.dataset.game));
+// Game selector buttons are generated from the registry, so listen on their container
+document.querySelector('.game-selector').addEventListener('click', (e) => {
+  const btn = e.target.closest('.game-selector-btn');
+  if (btn) handleGameSelection(btn.dataset.game);
 });
 
 document.querySelectorAll('.period-tab').forEach(tab => {
   tab.addEventListener('click', () => handlePeriodChange(tab.dataset.period));
 });
 
+if (intradayRangeEl) {
+  intradayRangeEl.addEventListener('input', () => {
+    const index = Number(intradayRangeEl.value);
+    // The last scrape is the live board, so snap back to the daily snapshot there
+    selectedScrapeIndex = index >= intradayScrapes.length - 1 ? null : index;
+    renderAllLeaderboards();
+  });
+}
+
 searchInput.addEventListener('input', (e) => {
   handleSearch(e.target.value);
   showAutocomplete(e.target.value);
@@ -1259,7 +1783,7 @@ searchInput.addEventListener('keydown', (e) => {
       // Try to add a card if there's an exact match
       const query = searchInput.value.trim();
       if (query) {
-        const match = allUsernames.find(u => u.toLowerCase() === query.toLowerCase());
+        const match = findUsername(query);
         if (match) {
           addUserCard(match);
         }
@@ -1270,7 +1794,7 @@ searchInput.addEventListener('keydown', (e) => {
     e.preventDefault();
     const query = searchInput.value.trim();
     if (query) {
-      const match = allUsernames.find(u => u.toLowerCase() === query.toLowerCase());
+      const match = findUsername(query);
       if (match) {
         addUserCard(match);
       }
@@ -1285,8 +1809,9 @@ searchInput.addEventListener('blur', () => {
 
 // Autocomplete dropdown click handling
 document.addEventListener('click', (e) => {
-  if (e.target.classList.contains('autocomplete-item')) {
-    selectAutocompleteItem(e.target.dataset.username);
+  const item = e.target.closest('.autocomplete-item');
+  if (item) {
+    selectAutocompleteItem(item.dataset.username);
   }
 });
 
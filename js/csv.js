@@ -0,0 +1,29 @@
+/**
+ * MyVMK High Scores Tracker - CSV output (RFC 4180) for exports
+ * Shared by scripts/export.js and the site's Export buttons, where this module
+ * puts toCsv on window.Csv.
+ */
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Usernames are player-chosen, so keep them text: '=1+1 rather than 2
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A CSV document with a header row of columns and one row per object in rows
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+if (typeof window !== 'undefined') {
+  window.Csv = { toCsv };
+}
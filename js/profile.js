@@ -0,0 +1,96 @@
+/**
+ * MyVMK High Scores Tracker - player profile pages (data/profiles/<slug>.html)
+ * The page itself is static; this draws its score history charts from the
+ * player's file under data/players/.
+ */
+
+/**
+ * Convert a "#rrggbb" color to an "r, g, b" triple for use in rgba()
+ */
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+}
+
+/**
+ * Format date for chart labels
+ */
+function formatDateShort(dateStr) {
+  const date = new Date(dateStr + 'T12:00:00');
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Draw one game's score history on its canvas
+ */
+function createHistoryChart(canvas, history) {
+  const rgb = hexToRgb(canvas.dataset.color || '#6b4ce6');
+
+  new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: history.map(day => formatDateShort(day.date)),
+      datasets: [{
+        label: 'Score',
+        data: history.map(day => day.score),
+        borderColor: `rgba(${rgb}, 1)`,
+        backgroundColor: `rgba(${rgb}, 0.1)`,
+        fill: true,
+        tension: 0.4,
+        pointRadius: 4,
+        pointHoverRadius: 7
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            afterLabel: (item) => `Rank #${history[item.dataIndex].rank}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.1)'
+          },
+          ticks: {
+            color: '#a0a0c0'
+          }
+        },
+        y: {
+          grid: {
+            color: 'rgba(255, 255, 255, 0.1)'
+          },
+          ticks: {
+            color: '#a0a0c0',
+            callback: (value) => value.toLocaleString()
+          }
+        }
+      }
+    }
+  });
+}
+
+async function init() {
+  const slug = document.body.dataset.player;
+
+  try {
+    const response = await fetch(`../players/${slug}.json`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const player = await response.json();
+
+    for (const canvas of document.querySelectorAll('.user-history-card canvas')) {
+      createHistoryChart(canvas, player.history[canvas.dataset.game] || []);
+    }
+  } catch (error) {
+    console.warn(`Failed to load the score history for ${slug}:`, error.message);
+  }
+}
+
+init();
@@ -0,0 +1,100 @@
+/**
+ * MyVMK High Scores Tracker - share card images
+ * SVG templates for a game's top 10 and for a new all-time record, themed
+ * with the game's color. The scraper renders them to PNG in Node
+ * (scripts/scraper.js); the Share button on each game card draws them onto a
+ * canvas in the browser, where this module puts them on window.ShareCards.
+ *
+ * Avatars must be data: URIs, since neither an <img> nor resvg loads images
+ * an SVG links to.
+ */
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+const FONT = "'DejaVu Sans', Arial, Helvetica, sans-serif";
+const BACKGROUND = ['#0a0a1a', '#1a0a2e', '#0f1a3d'];
+const GOLD = '#ffd700';
+const MUTED = '#a0a0c0';
+const SITE_NAME = 'MyVMK High Scores';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const formatScore = (score) => score.toLocaleString('en-US');
+
+function frame(color, body) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="${FONT}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="${BACKGROUND[0]}"/>
+      <stop offset="0.5" stop-color="${BACKGROUND[1]}"/>
+      <stop offset="1" stop-color="${BACKGROUND[2]}"/>
+    </linearGradient>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+  <rect width="${CARD_WIDTH}" height="12" fill="${color}"/>
+${body}
+  <text x="${CARD_WIDTH - 60}" y="${CARD_HEIGHT - 28}" text-anchor="end" font-size="22" fill="${MUTED}">${SITE_NAME}</text>
+</svg>
+`;
+}
+
+function avatarSvg(avatar, x, y, width, height, color) {
+  const image = avatar
+    ? `<image href="${avatar}" x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="xMidYMin meet"/>`
+    : '';
+  return `  <rect x="${x - 6}" y="${y - 6}" width="${width + 12}" height="${height + 12}" rx="14" fill="${BACKGROUND[1]}" stroke="${color}" stroke-width="4"/>
+  ${image}`;
+}
+
+/**
+ * A game's board as an SVG card
+ * scores are { rank, username, score } best first; at most 10 are shown.
+ * avatar is the #1's avatar as a data: URI, or null.
+ */
+export function boardCardSvg({ gameName, color, title, subtitle, scores, avatar }) {
+  const shown = scores.slice(0, 10);
+  const rows = shown.map((entry, i) => {
+    const y = 200 + i * 40;
+    const tied = shown.some(other => other !== entry && other.rank === entry.rank);
+    const highlight = i === 0
+      ? `  <rect x="340" y="${y - 29}" width="800" height="38" rx="8" fill="${color}" fill-opacity="0.25"/>\n`
+      : '';
+    return `${highlight}  <text x="360" y="${y}" font-size="24" font-weight="bold" fill="${i === 0 ? GOLD : MUTED}">${tied ? 'T' : '#'}${entry.rank}</text>
+  <text x="440" y="${y}" font-size="24" fill="#ffffff">${escapeXml(entry.username)}</text>
+  <text x="1120" y="${y}" text-anchor="end" font-size="24" font-weight="bold" fill="${i === 0 ? GOLD : '#ffffff'}">${formatScore(entry.score)}</text>`;
+  });
+
+  return frame(color, `  <text x="60" y="82" font-size="44" font-weight="bold" fill="${color}">${escapeXml(gameName)}</text>
+  <text x="60" y="124" font-size="26" fill="${MUTED}">${escapeXml(title)}${subtitle ? ` · ${escapeXml(subtitle)}` : ''}</text>
+${avatarSvg(avatar, 66, 172, 220, 380, color)}
+${rows.length > 0 ? rows.join('\n') : `  <text x="360" y="200" font-size="24" fill="${MUTED}">No scores yet</text>`}`);
+}
+
+/**
+ * A new all-time record as an SVG card
+ * previous is the record it beat ({ username, score }), or null for a game's first.
+ */
+export function recordCardSvg({ gameName, color, username, score, previous, date, avatar }) {
+  const beaten = previous
+    ? `beating ${escapeXml(previous.username)}'s ${formatScore(previous.score)}`
+    : 'the first record on the board';
+
+  return frame(color, `  <text x="60" y="82" font-size="44" font-weight="bold" fill="${color}">${escapeXml(gameName)}</text>
+  <text x="60" y="124" font-size="26" fill="${MUTED}">${escapeXml(date)}</text>
+${avatarSvg(avatar, 66, 172, 220, 380, color)}
+  <text x="360" y="230" font-size="40" font-weight="bold" fill="${GOLD}">NEW ALL-TIME RECORD</text>
+  <text x="360" y="320" font-size="56" font-weight="bold" fill="#ffffff">${escapeXml(username)}</text>
+  <text x="360" y="430" font-size="96" font-weight="bold" fill="${color}">${formatScore(score)}</text>
+  <text x="360" y="490" font-size="28" fill="${MUTED}">${beaten}</text>`);
+}
+
+if (typeof window !== 'undefined') {
+  window.ShareCards = { CARD_WIDTH, CARD_HEIGHT, boardCardSvg, recordCardSvg };
+}
@@ -0,0 +1,91 @@
+/**
+ * Find and backfill gaps in data/daily/
+ * Lists every date between the first snapshot and yesterday (Pacific) that has
+ * no snapshot, and rebuilds a partial, reconstructed snapshot for it from the
+ * next day's "yesterday" column where that day exists.
+ *
+ * Usage:
+ *   node scripts/backfill.js            # list gaps and reconstruct what we can
+ *   node scripts/backfill.js --dry-run  # only list gaps
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+  DAILY_DIR,
+  getPacificDate,
+  getPreviousDate,
+  getNextDate,
+  reconstructDay,
+  updateManifest
+} from './scraper.js';
+
+/**
+ * List dates with no snapshot between the first snapshot and lastDate (inclusive)
+ */
+function findMissingDates(dates, lastDate) {
+  const sorted = [...dates].sort();
+  const missing = [];
+  if (sorted.length === 0) return missing;
+
+  for (let date = sorted[0]; date <= lastDate; date = getNextDate(date)) {
+    if (!dates.has(date)) missing.push(date);
+  }
+  return missing;
+}
+
+async function backfill({ dryRun }) {
+  console.log('=== Checking for missing daily snapshots ===');
+
+  const files = await fs.readdir(DAILY_DIR);
+  const dates = new Set(files.filter(f => f.endsWith('.json')).map(f => f.replace('.json', '')));
+
+  // Today isn't missing until it's over
+  const missing = findMissingDates(dates, getPreviousDate(getPacificDate()));
+  if (missing.length === 0) {
+    console.log('No missing days');
+    return;
+  }
+
+  console.log(`Missing ${missing.length} day(s): ${missing.join(', ')}`);
+
+  let reconstructed = 0;
+  const unrecoverable = [];
+
+  // Reconstructed days have empty "yesterday" columns, so only the last day of a longer gap can be recovered
+  for (const date of missing) {
+    const nextDate = getNextDate(date);
+    if (!dates.has(nextDate)) {
+      unrecoverable.push(date);
+      continue;
+    }
+
+    const next = JSON.parse(await fs.readFile(path.join(DAILY_DIR, `${nextDate}.json`), 'utf-8'));
+    const snapshot = await reconstructDay(date, next.games || {}, nextDate, new Date(), dryRun);
+    if (snapshot) {
+      reconstructed++;
+    } else {
+      unrecoverable.push(date);
+    }
+  }
+
+  if (unrecoverable.length > 0) {
+    console.log(`Cannot reconstruct: ${unrecoverable.join(', ')}`);
+  }
+  if (!dryRun && reconstructed > 0) {
+    await updateManifest();
+  }
+  console.log(`=== ${dryRun ? 'Dry run: could reconstruct' : 'Reconstructed'} ${reconstructed} of ${missing.length} missing day(s) ===`);
+}
+
+const { values } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+backfill({ dryRun: values['dry-run'] }).catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * List groups of usernames in users.json that look identical on screen, the
+ * groups the scraper keeps in its lookAlikes. Each group is either one player
+ * under several spellings, to merge with an entry in config/aliases.json, or
+ * someone imitating another player.
+ *
+ * Usage:
+ *   node scripts/confusables.js
+ */
+
+import { USERS_FILE, readDataFile } from './scraper.js';
+import { GAMES } from './lib/games.js';
+import { findConfusableGroups } from './lib/confusables.js';
+
+function describeUser(username, user) {
+  const bests = GAMES
+    .filter(game => user.games[game.id]?.date)
+    .map(game => `${game.shortName} ${user.games[game.id].bestScore}`);
+  const codePoints = Array.from(username, char => char.codePointAt(0) > 0x7e
+    ? `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+    : char).join(' ');
+
+  return `${username}  [${codePoints}]  last seen ${user.lastSeen ?? 'never'}${bests.length ? `  (${bests.join(', ')})` : ''}`;
+}
+
+async function report() {
+  // Worked out again, so changes to the confusables map show up before the next scrape
+  const { users } = await readDataFile(USERS_FILE);
+  const groups = findConfusableGroups(Object.keys(users));
+
+  if (groups.length === 0) {
+    console.log(`No look-alike names among ${Object.keys(users).length} users`);
+    return;
+  }
+
+  console.log(`${groups.length} group(s) of look-alike names:`);
+  for (const group of groups) {
+    console.log('');
+    for (const username of group) {
+      console.log(`  ${describeUser(username, users[username])}`);
+    }
+  }
+  console.log('');
+  console.log('If a group is one player, map the other names to theirs in config/aliases.json');
+}
+
+report().catch(error => {
+  console.error('Confusables report failed:', error);
+  process.exit(1);
+});
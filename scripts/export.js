@@ -0,0 +1,160 @@
+/**
+ * Export leaderboards or a player's history from data/ as CSV
+ * Boards include every entry, not just the top 10 the site shows: multi-day
+ * boards take each player's best across the days' final boards, like the
+ * site's week, month and year leaderboards.
+ *
+ * Usage:
+ *   node scripts/export.js                                   # every game's board for the latest day
+ *   node scripts/export.js --game pirates --date 2026-08-21  # one game's board for a day
+ *   node scripts/export.js --period week                     # week, month or year ending on --date (default the latest day)
+ *   node scripts/export.js --from 2026-08-01 --to 2026-08-22 # best per player over a date range
+ *   node scripts/export.js --period alltime                  # all-time.json
+ *   node scripts/export.js --player BRlTT                    # a player's placements on every day's board
+ *   node scripts/export.js ... --out scores.csv              # write to a file instead of stdout
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import {
+  DAILY_DIR,
+  ALL_TIME_FILE,
+  USERS_FILE,
+  GAMES,
+  readDataFile,
+  loadDailySnapshots,
+  getDayBoard,
+  aggregateBoards,
+  periodStartDates
+} from './scraper.js';
+import { canonicalName, formerNames } from './lib/aliases.js';
+import { assignCompetitionRanks } from './lib/games.js';
+import { toCsv } from './lib/csv.js';
+
+const PERIODS = ['day', 'week', 'month', 'year', 'alltime'];
+const BOARD_COLUMNS = ['game', 'rank', 'username', 'score', 'date'];
+const HISTORY_COLUMNS = ['username', 'game', 'date', 'rank', 'score'];
+
+// A real calendar day in YYYY-MM-DD form, so 2026-13-45 is refused
+function isDate(value) {
+  const date = new Date(`${value}T12:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(date.getTime()) &&
+    date.toISOString().startsWith(value);
+}
+
+/**
+ * A day's board for a game, ranked with shared ranks for ties
+ * Older snapshots stored each entry's position as its rank.
+ */
+function rankedDayBoard(snapshot, gameId) {
+  return assignCompetitionRanks(getDayBoard(snapshot.games?.[gameId]).scores.map(entry => ({ ...entry })));
+}
+
+/**
+ * Rows for each game's board over from..to (a single day when they're equal)
+ */
+async function exportBoards(games, from, to) {
+  const snapshots = await loadDailySnapshots(from, to);
+  if (snapshots.length === 0) {
+    throw new Error(`No daily snapshots from ${from} to ${to}`);
+  }
+  const usersData = await readDataFile(USERS_FILE);
+
+  return games.flatMap(game => {
+    // A range is ranked like the site's aggregates
+    const scores = from === to
+      ? rankedDayBoard(snapshots[0], game.id).map(entry => ({ ...entry, achievedOn: from }))
+      : aggregateBoards(snapshots, game.id, usersData, Infinity).scores;
+    return scores.map(entry => ({ game: game.id, ...entry, date: entry.achievedOn }));
+  });
+}
+
+async function exportAllTime(games) {
+  const allTime = await readDataFile(ALL_TIME_FILE);
+  return games.flatMap(game => assignCompetitionRanks([...(allTime.games?.[game.id]?.scores || [])])
+    .map(entry => ({ game: game.id, ...entry, date: entry.achievedOn })));
+}
+
+/**
+ * Rows for a player's placements, including boards from before a rename
+ */
+async function exportPlayer(games, username) {
+  const name = canonicalName(username);
+  const names = new Set([name, ...formerNames(name)]);
+  const rows = [];
+  for (const snapshot of await loadDailySnapshots()) {
+    for (const game of games) {
+      const entry = rankedDayBoard(snapshot, game.id).find(e => names.has(e.username));
+      if (entry) {
+        rows.push({ username: name, game: game.id, date: snapshot.date, rank: entry.rank, score: entry.score });
+      }
+    }
+  }
+  if (rows.length === 0) {
+    throw new Error(`${username} isn't on any day's board`);
+  }
+  return rows;
+}
+
+async function exportCsv(options) {
+  const games = options.game ? GAMES.filter(g => g.id === options.game) : GAMES;
+  if (games.length === 0) {
+    throw new Error(`Unknown game: ${options.game} (expected one of ${GAMES.map(g => g.id).join(', ')})`);
+  }
+  for (const flag of ['date', 'from', 'to']) {
+    if (options[flag] && !isDate(options[flag])) {
+      throw new Error(`Invalid --${flag} value: ${options[flag]}`);
+    }
+  }
+  if (!PERIODS.includes(options.period)) {
+    throw new Error(`Unknown period: ${options.period} (expected one of ${PERIODS.join(', ')})`);
+  }
+
+  if (options.player) {
+    return toCsv(HISTORY_COLUMNS, await exportPlayer(games, options.player));
+  }
+  if (options.period === 'alltime') {
+    return toCsv(BOARD_COLUMNS, await exportAllTime(games));
+  }
+
+  if (options.from || options.to) {
+    if (!options.from || !options.to) {
+      throw new Error('--from and --to go together');
+    }
+    return toCsv(BOARD_COLUMNS, await exportBoards(games, options.from, options.to));
+  }
+
+  const days = (await fs.readdir(DAILY_DIR)).filter(f => f.endsWith('.json')).sort();
+  const date = options.date || days.at(-1)?.replace('.json', '');
+  if (!date) {
+    throw new Error('No daily snapshots in data/');
+  }
+  const from = options.period === 'day' ? date : periodStartDates(date)[options.period];
+  return toCsv(BOARD_COLUMNS, await exportBoards(games, from, date));
+}
+
+const { values } = parseArgs({
+  options: {
+    game: { type: 'string' },
+    period: { type: 'string', default: 'day' },
+    date: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    player: { type: 'string' },
+    out: { type: 'string' }
+  }
+});
+
+exportCsv(values)
+  .then(async csv => {
+    if (values.out) {
+      await fs.writeFile(values.out, csv);
+      console.log(`Wrote ${values.out}`);
+    } else {
+      process.stdout.write(csv);
+    }
+  })
+  .catch(error => {
+    console.error('Export failed:', error);
+    process.exit(1);
+  });
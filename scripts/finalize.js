@@ -0,0 +1,49 @@
+/**
+ * Finalize daily snapshots from the following day's "yesterday" column
+ * The scraper does this for the previous day on every run; this backfills
+ * (or re-checks) every day that has a snapshot for the day after it.
+ *
+ * Usage:
+ *   node scripts/finalize.js            # every day with a following snapshot
+ *   node scripts/finalize.js --dry-run  # log late scores, write nothing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { DAILY_DIR, getNextDate, finalizeDay, updateManifest } from './scraper.js';
+
+async function finalizeAll({ dryRun }) {
+  console.log('=== Finalizing daily snapshots ===');
+
+  const files = await fs.readdir(DAILY_DIR);
+  const dates = new Set(files.filter(f => f.endsWith('.json')).map(f => f.replace('.json', '')));
+
+  let finalized = 0;
+  for (const date of [...dates].sort()) {
+    const nextDate = getNextDate(date);
+    if (!dates.has(nextDate)) continue;
+
+    const next = JSON.parse(await fs.readFile(path.join(DAILY_DIR, `${nextDate}.json`), 'utf-8'));
+    const before = JSON.parse(await fs.readFile(path.join(DAILY_DIR, `${date}.json`), 'utf-8'));
+    const after = await finalizeDay(date, next.games || {}, nextDate, new Date(), dryRun);
+
+    if (after && after.finalizedAt !== before.finalizedAt) finalized++;
+  }
+
+  if (!dryRun && finalized > 0) {
+    await updateManifest();
+  }
+  console.log(`=== ${dryRun ? 'Dry run: would finalize' : 'Finalized'} ${finalized} day(s) ===`);
+}
+
+const { values } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+finalizeAll({ dryRun: values['dry-run'] }).catch(error => {
+  console.error('Finalize failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * The username alias map (config/aliases.json): former or look-alike names
+ * mapped to the name a player's records are kept under
+ * Set MYVMK_ALIASES_FILE to use another map (tests do).
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { assertValid } from './schemas.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ALIASES_FILE = process.env.MYVMK_ALIASES_FILE
+  ? path.resolve(process.env.MYVMK_ALIASES_FILE)
+  : path.join(__dirname, '..', '..', 'config', 'aliases.json');
+
+const config = JSON.parse(fsSync.readFileSync(ALIASES_FILE, 'utf-8'));
+assertValid('aliases', config, path.basename(ALIASES_FILE));
+
+/**
+ * Follow renames through to the current name, so "A -> B" and "B -> C" file
+ * A's records under C
+ */
+function resolve(name) {
+  const seen = new Set([name]);
+  let current = name;
+  while (Object.hasOwn(config.aliases, current)) {
+    current = config.aliases[current];
+    if (seen.has(current)) {
+      throw new Error(`${path.basename(ALIASES_FILE)}: aliases of ${name} loop back on themselves`);
+    }
+    seen.add(current);
+  }
+  return current;
+}
+
+// Former name -> current name, with chains resolved
+export const ALIASES = Object.fromEntries(Object.keys(config.aliases).map(name => [name, resolve(name)]));
+
+// Current name -> sorted former names
+const formerNamesByName = new Map();
+for (const [formerName, username] of Object.entries(ALIASES)) {
+  if (!formerNamesByName.has(username)) formerNamesByName.set(username, []);
+  formerNamesByName.get(username).push(formerName);
+}
+for (const names of formerNamesByName.values()) names.sort();
+
+export const HAS_ALIASES = formerNamesByName.size > 0;
+
+/**
+ * The name a player's records are kept under
+ */
+export function canonicalName(username) {
+  return ALIASES[username] ?? username;
+}
+
+/**
+ * Names a player was also seen under, empty if none
+ */
+export function formerNames(username) {
+  return formerNamesByName.get(username) || [];
+}
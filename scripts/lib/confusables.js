@@ -0,0 +1,75 @@
+/**
+ * Spot usernames that look identical on screen, like "BRlTT" and "BRITT"
+ * Follows the skeleton algorithm of Unicode TR39: fold compatibility forms,
+ * then map every character to the prototype it's confusable with. Two names
+ * are confusable when their skeletons match. The mapping is the part of the
+ * Unicode confusables data that covers Latin look-alikes, which is what shows
+ * up in MyVMK names.
+ */
+
+// Prototype -> characters that render the same
+const CONFUSABLES = {
+  'l': ['I', '1', '|', 'ǀ', 'Ι', 'І', 'Ӏ', 'ℓ'],
+  'O': ['0', 'О', 'Ο', '〇'],
+  'o': ['о', 'ο', 'ℴ'],
+  'a': ['а', 'ɑ', 'α'],
+  'c': ['с', 'ϲ'],
+  'e': ['е', 'ҽ'],
+  'i': ['і', 'ı', 'ɩ', 'ι'],
+  'j': ['ј'],
+  'p': ['р', 'ρ'],
+  's': ['ѕ'],
+  'x': ['х', '×'],
+  'y': ['у'],
+  'A': ['А', 'Α'],
+  'B': ['В', 'Β'],
+  'C': ['С', 'Ϲ'],
+  'E': ['Е', 'Ε'],
+  'H': ['Н', 'Η'],
+  'J': ['Ј'],
+  'K': ['К', 'Κ'],
+  'M': ['М', 'Μ'],
+  'N': ['Ν'],
+  'P': ['Р', 'Ρ'],
+  'S': ['Ѕ'],
+  'T': ['Т', 'Τ'],
+  'X': ['Х', 'Χ'],
+  'Y': ['Ү', 'Υ'],
+  'Z': ['Ζ']
+};
+
+// Letters that read the same as a pair of others
+const SEQUENCES = [['m', 'rn'], ['w', 'vv'], ['W', 'VV'], ['d', 'cl']];
+
+const prototypes = new Map();
+for (const [prototype, chars] of Object.entries(CONFUSABLES)) {
+  for (const char of chars) prototypes.set(char, prototype);
+}
+
+/**
+ * The TR39-style skeleton of a username; confusable names share one
+ */
+export function skeleton(username) {
+  let result = Array.from(username.normalize('NFKD'), char => prototypes.get(char) ?? char).join('');
+  for (const [letter, pair] of SEQUENCES) {
+    result = result.replaceAll(letter, pair);
+  }
+  return result.normalize('NFD');
+}
+
+/**
+ * Groups of two or more names that look identical, each sorted, ordered by first name
+ */
+export function findConfusableGroups(usernames) {
+  const bySkeleton = new Map();
+  for (const username of usernames) {
+    const key = skeleton(username);
+    if (!bySkeleton.has(key)) bySkeleton.set(key, []);
+    bySkeleton.get(key).push(username);
+  }
+
+  return Array.from(bySkeleton.values())
+    .filter(group => group.length > 1)
+    .map(group => group.sort())
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
@@ -0,0 +1,6 @@
+/**
+ * CSV output for exports
+ * The same code builds the CSVs the site's Export buttons download (js/csv.js).
+ */
+
+export { toCsv } from '../../js/csv.js';
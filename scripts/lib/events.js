@@ -0,0 +1,73 @@
+/**
+ * Typed events for the activity log under data/events/ (one file per month)
+ * The scraper works them out by comparing the state before and after a
+ * scrape. Ids are derived from the event itself, so seeing the same thing on
+ * a later scrape, or replaying it in a rebuild, never logs it twice.
+ *
+ * Types:
+ *   all-time-record  a new #1 on a game's all-time board (previous: the old #1)
+ *   all-time-top-10  a player entering a game's all-time top 10
+ *   personal-best    a player beating their own best (previous: the old best)
+ *   daily-winner     #1 on a day's final board
+ */
+
+import crypto from 'crypto';
+
+export const EVENT_TYPES = ['all-time-record', 'all-time-top-10', 'personal-best', 'daily-winner'];
+
+// Entering this much of the all-time board is an event
+export const TOP_BOARD_SIZE = 10;
+
+/**
+ * An event with its id: type, date, gameId, username, score and avatar, plus
+ * rank, period and previous where they apply
+ */
+export function makeEvent(event) {
+  const id = crypto.createHash('sha1')
+    .update([event.type, event.gameId, event.username, event.score, event.date].join('|'))
+    .digest('hex')
+    .slice(0, 12);
+  return { id, ...event };
+}
+
+/**
+ * Events from a game's all-time board changing on date
+ * before and after are the boards (best first) either side of the update;
+ * only scores achieved on date count, so old records resurfacing don't.
+ */
+export function allTimeBoardEvents(gameId, before, after, date, avatarOf) {
+  const events = [];
+  const [oldTop] = before;
+  const [newTop] = after;
+
+  const isNewRecord = newTop && newTop.achievedOn === date &&
+    (!oldTop || oldTop.username !== newTop.username || oldTop.score !== newTop.score);
+  if (isNewRecord) {
+    events.push(makeEvent({
+      type: 'all-time-record',
+      date,
+      gameId,
+      username: newTop.username,
+      score: newTop.score,
+      avatar: avatarOf(newTop.username),
+      rank: 1,
+      previous: oldTop ? { username: oldTop.username, score: oldTop.score } : null
+    }));
+  }
+
+  const wasTopTen = new Set(before.slice(0, TOP_BOARD_SIZE).map(s => s.username));
+  for (const entry of after.slice(isNewRecord ? 1 : 0, TOP_BOARD_SIZE)) {
+    if (entry.achievedOn !== date || wasTopTen.has(entry.username)) continue;
+    events.push(makeEvent({
+      type: 'all-time-top-10',
+      date,
+      gameId,
+      username: entry.username,
+      score: entry.score,
+      avatar: avatarOf(entry.username),
+      rank: entry.rank
+    }));
+  }
+
+  return events;
+}
@@ -0,0 +1,139 @@
+/**
+ * Atom and JSON Feed versions of the activity log, for feed readers
+ * Feeds carry daily winners, new all-time #1s and new top 10 entries, newest
+ * first. Entry ids come from the event ids, so rewriting the same day on the
+ * next scrape never shows up as a new item. Timestamps come from the events
+ * too, so a scrape that logs nothing leaves the feeds byte-for-byte the same.
+ */
+
+import { fromZonedTime } from 'date-fns-tz';
+import { GAMES } from './games.js';
+
+export const FEED_EVENT_TYPES = ['all-time-record', 'all-time-top-10', 'daily-winner'];
+
+// Entries kept in each feed
+export const FEED_SIZE = 50;
+
+const FEED_TITLE = 'MyVMK High Scores';
+const FEED_DESCRIPTION = 'New all-time records, top 10 entries and daily winners across the MyVMK games';
+
+// Not tied to the site's URL, so moving the site doesn't re-send every entry
+const TAG_PREFIX = 'tag:myvmk-highscores,2026:';
+
+const PACIFIC_TZ = 'America/Los_Angeles';
+
+const gameNames = new Map(GAMES.map(g => [g.id, g.name]));
+
+/**
+ * The events that belong in a feed, newest day first
+ * events is the activity log, oldest first; a day's events keep their order,
+ * so a record comes before the top 10 entries it pushed down.
+ */
+export function selectFeedEvents(events) {
+  return events
+    .filter(e => FEED_EVENT_TYPES.includes(e.type))
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, FEED_SIZE);
+}
+
+/**
+ * One-line summary of an event
+ */
+export function describeFeedEvent(event) {
+  const game = gameNames.get(event.gameId) || event.gameId;
+  const score = event.score.toLocaleString('en-US');
+
+  switch (event.type) {
+    case 'all-time-record':
+      return event.previous
+        ? `${event.username} set a new ${game} record of ${score}, beating ${event.previous.username}'s ${event.previous.score.toLocaleString('en-US')}`
+        : `${event.username} set the first ${game} record of ${score}`;
+    case 'all-time-top-10':
+      return `${event.username} entered the ${game} all-time top 10 at #${event.rank} with ${score}`;
+    case 'personal-best':
+      return `${event.username} set a ${game} personal best of ${score}, up from ${event.previous.score.toLocaleString('en-US')}`;
+    case 'daily-winner':
+      return `${event.username} won ${game} on ${event.date} with ${score}`;
+    default:
+      return `${event.username}: ${score} in ${game}`;
+  }
+}
+
+/**
+ * When an event happened, as an ISO timestamp
+ * Events are dated by Pacific day, which is when the site's boards roll over.
+ */
+export function eventTimestamp(event) {
+  return fromZonedTime(`${event.date}T00:00:00`, PACIFIC_TZ).toISOString();
+}
+
+function entryId(event) {
+  return `${TAG_PREFIX}event/${event.id}`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The Atom feed (data/feed.xml) for events, newest first
+ * siteUrl is the site's home page, ending in a slash
+ */
+export function buildAtomFeed(events, siteUrl) {
+  const updated = events.length > 0 ? eventTimestamp(events[0]) : '1970-01-01T00:00:00.000Z';
+
+  const entries = events.map(event => {
+    const title = escapeXml(describeFeedEvent(event));
+    const image = event.avatar
+      ? `\n    <link rel="enclosure" type="image/png" href="${escapeXml(`${siteUrl}data/avatars/${event.avatar}`)}"/>`
+      : '';
+    return `  <entry>
+    <id>${entryId(event)}</id>
+    <title>${title}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>${image}
+    <updated>${eventTimestamp(event)}</updated>
+    <category term="${event.type}"/>
+    <category term="${event.gameId}" label="${escapeXml(gameNames.get(event.gameId) || event.gameId)}"/>
+    <summary>${title}</summary>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${TAG_PREFIX}feed</id>
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${siteUrl}data/feed.xml`)}"/>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * The JSON Feed 1.1 (data/feed.json) for events, newest first
+ */
+export function buildJsonFeed(events, siteUrl) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    home_page_url: siteUrl,
+    feed_url: `${siteUrl}data/feed.json`,
+    description: FEED_DESCRIPTION,
+    items: events.map(event => ({
+      id: entryId(event),
+      url: siteUrl,
+      title: describeFeedEvent(event),
+      content_text: describeFeedEvent(event),
+      date_published: eventTimestamp(event),
+      ...(event.avatar ? { image: `${siteUrl}data/avatars/${event.avatar}` } : {}),
+      tags: [event.type, event.gameId]
+    }))
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * The games registry (config/games.json), shared with the frontend
+ * Adding a game to MyVMK only needs a new entry there.
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { assertValid } from './schemas.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const GAMES_FILE = path.join(__dirname, '..', '..', 'config', 'games.json');
+
+const registry = JSON.parse(fsSync.readFileSync(GAMES_FILE, 'utf-8'));
+assertValid('games', registry, 'config/games.json');
+
+// Registry entries plus what the scraper needs to find each game on the page
+export const GAMES = registry.games.map(game => ({
+  ...game,
+  cssClass: game.source.cssClass,
+  headingPattern: new RegExp(game.source.headingPattern, 'i')
+}));
+
+export const GAME_IDS = GAMES.map(g => g.id);
+
+const gamesById = new Map(GAMES.map(g => [g.id, g]));
+
+/**
+ * Whether score a beats score b, respecting the game's score direction
+ */
+export function isBetterScore(gameId, a, b) {
+  return gamesById.get(gameId)?.scoreDirection === 'lower' ? a < b : a > b;
+}
+
+/**
+ * Comparator that sorts score entries best first for a game
+ * Equal scores are ordered by who got there first (achievedOn); entries
+ * without a date keep their existing order.
+ */
+export function compareScores(gameId) {
+  const byScore = gamesById.get(gameId)?.scoreDirection === 'lower'
+    ? (a, b) => a.score - b.score
+    : (a, b) => b.score - a.score;
+
+  return (a, b) => byScore(a, b) ||
+    (a.achievedOn && b.achievedOn ? a.achievedOn.localeCompare(b.achievedOn) : 0);
+}
+
+/**
+ * Set standard competition ranks (1, 2, 2, 4) on entries already sorted best first
+ */
+export function assignCompetitionRanks(entries) {
+  entries.forEach((entry, i) => {
+    entry.rank = i > 0 && entry.score === entries[i - 1].score ? entries[i - 1].rank : i + 1;
+  });
+  return entries;
+}
@@ -0,0 +1,113 @@
+/**
+ * HTTP fetching for the scraper: timeouts, retries with exponential backoff,
+ * an identifying User-Agent and conditional (ETag/Last-Modified) requests
+ *
+ * Defaults can be overridden with environment variables, which is how the
+ * tests point the scraper at a local stub server:
+ *   MYVMK_FETCH_RETRIES     retries after the first attempt (default 3)
+ *   MYVMK_FETCH_TIMEOUT_MS  per-attempt timeout (default 30000)
+ *   MYVMK_FETCH_BACKOFF_MS  delay before the first retry, doubled each time (default 1000)
+ */
+
+const USER_AGENT = 'myvmk-highscores-tracker (+https://github.com/bsims-codes/myvmk-highscores)';
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export const FETCH_DEFAULTS = {
+  retries: envNumber('MYVMK_FETCH_RETRIES', 3),
+  timeoutMs: envNumber('MYVMK_FETCH_TIMEOUT_MS', 30000),
+  backoffMs: envNumber('MYVMK_FETCH_BACKOFF_MS', 1000)
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed attempt is worth repeating: network errors, timeouts,
+ * 5xx responses and 429 Too Many Requests
+ */
+function isRetryable(response) {
+  return response.status >= 500 || response.status === 429;
+}
+
+/**
+ * Fetch a URL, retrying transient failures with exponential backoff
+ * Resolves with the final response (which may still be a non-2xx status the
+ * caller has to handle); rejects only when every attempt failed to get one.
+ *
+ * @param {string} url
+ * @param {object} options
+ * @param {string} options.method - request method (default GET)
+ * @param {string} options.body - request body
+ * @param {object} options.headers - extra request headers
+ * @param {number} options.retries - retries after the first attempt
+ * @param {number} options.timeoutMs - per-attempt timeout
+ * @param {number} options.backoffMs - delay before the first retry
+ */
+export async function fetchWithRetry(url, options = {}) {
+  const {
+    method = 'GET',
+    body,
+    headers = {},
+    retries = FETCH_DEFAULTS.retries,
+    timeoutMs = FETCH_DEFAULTS.timeoutMs,
+    backoffMs = FETCH_DEFAULTS.backoffMs
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+    try {
+      const response = await fetch(url, {
+        method,
+        body,
+        headers: { 'User-Agent': USER_AGENT, ...headers },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!isRetryable(response) || attempt >= retries) {
+        return response;
+      }
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+      failure = `${response.status} ${response.statusText}`;
+    } catch (error) {
+      failure = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+      if (attempt >= retries) {
+        throw new Error(`Fetching ${url} failed after ${attempt + 1} attempt(s): ${failure}`);
+      }
+    }
+
+    const delay = backoffMs * 2 ** attempt;
+    console.warn(`Fetching ${url} failed (${failure}), retrying in ${delay}ms...`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Fetch a URL only if it changed since the validators saved from the last fetch
+ * Returns { notModified: true } for a 304, otherwise { notModified: false, body,
+ * validators } where validators is the { etag, lastModified } to send next time.
+ * Throws on any other non-2xx response.
+ */
+export async function fetchIfModified(url, validators = {}, options = {}) {
+  const headers = {};
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+  const response = await fetchWithRetry(url, { ...options, headers });
+
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  const body = await response.text();
+  const next = {};
+  if (response.headers.get('etag')) next.etag = response.headers.get('etag');
+  if (response.headers.get('last-modified')) next.lastModified = response.headers.get('last-modified');
+
+  return { notModified: false, body, validators: next };
+}
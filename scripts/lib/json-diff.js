@@ -0,0 +1,38 @@
+/**
+ * Minimal structural diff for our JSON data files
+ * Used by the maintenance scripts to show what they are about to change.
+ */
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function formatValue(value) {
+  return value === undefined ? '(missing)' : JSON.stringify(value);
+}
+
+/**
+ * Compare two JSON values and return one line per changed path
+ * e.g. "games.pirates.today.scores[2].score: 120 -> 125"
+ */
+export function diffJSON(before, after, prefix = '') {
+  if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+    return before === after ? [] : [`${prefix || '(root)'}: ${formatValue(before)} -> ${formatValue(after)}`];
+  }
+
+  const lines = [];
+
+  if (Array.isArray(before)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      lines.push(...diffJSON(before[i], after[i], `${prefix}[${i}]`));
+    }
+    return lines;
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    lines.push(...diffJSON(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+  }
+  return lines;
+}
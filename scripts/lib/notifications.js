@@ -0,0 +1,165 @@
+/**
+ * Discord-compatible webhook notifications for leaderboard events
+ * Webhooks are listed in config/webhooks.json (set MYVMK_WEBHOOKS_FILE to use
+ * another list), each with the notification types it wants. A notification is
+ * an event from the activity log, or the start of a double credit day; its id
+ * is what data/notifications.json remembers so no message is sent twice.
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { assertValid } from './schemas.js';
+import { GAMES } from './games.js';
+import { EVENT_TYPES } from './events.js';
+import { describeFeedEvent, eventTimestamp } from './feeds.js';
+import { fetchWithRetry } from './http.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const WEBHOOKS_FILE = process.env.MYVMK_WEBHOOKS_FILE
+  ? path.resolve(process.env.MYVMK_WEBHOOKS_FILE)
+  : path.join(__dirname, '..', '..', 'config', 'webhooks.json');
+
+const config = JSON.parse(fsSync.readFileSync(WEBHOOKS_FILE, 'utf-8'));
+assertValid('webhooks', config, path.basename(WEBHOOKS_FILE));
+
+export const NOTIFICATION_TYPES = [...EVENT_TYPES, 'double-credit-day'];
+
+// Discord takes at most 10 embeds per message
+const EMBEDS_PER_MESSAGE = 10;
+
+// Rate-limited posts: tries in all, the wait when none is given, and the
+// longest wait worth sitting out rather than leaving for the next run
+const POST_ATTEMPTS = 3;
+const RATE_LIMIT_WAIT_MS = 1000;
+const MAX_RATE_LIMIT_WAIT_MS = 30000;
+
+const SENDER_NAME = 'MyVMK High Scores';
+const GOLD = 0xffd700;
+
+const EMBED_TITLES = {
+  'all-time-record': '🏆 New all-time record',
+  'all-time-top-10': '⭐ New all-time top 10 entry',
+  'personal-best': '📈 New personal best',
+  'daily-winner': '🥇 Daily winner'
+};
+
+const gamesById = new Map(GAMES.map(g => [g.id, g]));
+
+/**
+ * The webhooks in the config that have a URL, as { name, url, events }
+ */
+export function configuredWebhooks(env = process.env) {
+  return config.webhooks
+    .map(webhook => ({
+      name: webhook.name,
+      url: webhook.url || (webhook.urlEnv && env[webhook.urlEnv]) || null,
+      events: webhook.events
+    }))
+    .filter(webhook => webhook.url);
+}
+
+/**
+ * Notifications for events dated from since to date, oldest first, plus the
+ * double credit day if date is one
+ */
+export function pendingNotifications(events, { since, date, doubleCreditDates = [] }) {
+  const notifications = events
+    .filter(event => event.date >= since && event.date <= date)
+    .map(event => ({ id: event.id, type: event.type, date: event.date, event }));
+
+  if (doubleCreditDates.includes(date)) {
+    notifications.push({ id: `double-credit-day-${date}`, type: 'double-credit-day', date });
+  }
+  return notifications;
+}
+
+function toEmbed(notification, siteUrl) {
+  if (notification.type === 'double-credit-day') {
+    return {
+      title: '💰 Double credit day',
+      description: `Every game pays double credits today, ${notification.date}.`,
+      url: siteUrl,
+      color: GOLD,
+      timestamp: eventTimestamp(notification)
+    };
+  }
+
+  const { event } = notification;
+  const game = gamesById.get(event.gameId);
+  return {
+    title: EMBED_TITLES[event.type],
+    description: describeFeedEvent(event),
+    url: siteUrl,
+    color: game?.color ? parseInt(game.color.slice(1), 16) : GOLD,
+    ...(event.avatar ? { thumbnail: { url: `${siteUrl}data/avatars/${event.avatar}` } } : {}),
+    footer: { text: game?.name || event.gameId },
+    timestamp: eventTimestamp(event)
+  };
+}
+
+/**
+ * Webhook messages for notifications, as [{ notifications, payload }] with
+ * each payload holding as many embeds as Discord allows
+ */
+export function buildMessages(notifications, siteUrl) {
+  const messages = [];
+  for (let i = 0; i < notifications.length; i += EMBEDS_PER_MESSAGE) {
+    const batch = notifications.slice(i, i + EMBEDS_PER_MESSAGE);
+    messages.push({
+      notifications: batch,
+      payload: { username: SENDER_NAME, embeds: batch.map(n => toEmbed(n, siteUrl)) }
+    });
+  }
+  return messages;
+}
+
+/**
+ * A message for checking a webhook is set up
+ */
+export function testMessage(siteUrl) {
+  return {
+    username: SENDER_NAME,
+    embeds: [{
+      title: 'Test notification',
+      description: 'Leaderboard notifications from the MyVMK High Scores tracker will arrive here.',
+      url: siteUrl,
+      color: GOLD
+    }]
+  };
+}
+
+/**
+ * How long a rate-limited webhook asks us to wait, in ms
+ * Discord puts retry_after (seconds) in the body; others only send Retry-After.
+ */
+async function retryAfterMs(response) {
+  const body = await response.json().catch(() => null);
+  const seconds = Number(body?.retry_after ?? response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds * 1000) : RATE_LIMIT_WAIT_MS;
+}
+
+/**
+ * Post a message to a webhook, throwing unless it's accepted
+ * A post that failed any other way may still have gone through, so only a 429
+ * is tried again, after the wait the webhook asks for; anything else is left
+ * for the next run.
+ */
+export async function postWebhook(url, payload) {
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetchWithRetry(url, {
+      method: 'POST',
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      retries: 0
+    });
+    if (response.ok) return;
+
+    const wait = response.status === 429 ? await retryAfterMs(response) : null;
+    if (wait === null || attempt >= POST_ATTEMPTS || wait > MAX_RATE_LIMIT_WAIT_MS) {
+      throw new Error(`webhook responded ${response.status} ${response.statusText}`);
+    }
+    console.warn(`Webhook rate limited, retrying in ${wait}ms...`);
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
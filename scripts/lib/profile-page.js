@@ -0,0 +1,201 @@
+/**
+ * Static, shareable profile pages (data/profiles/<slug>.html), one per player
+ * Everything but the charts is in the HTML, so link previews (Open Graph tags)
+ * and readers without JavaScript see it; js/profile.js draws the score history
+ * charts from the player's file under data/players/.
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GAMES } from './games.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const INDEX_HTML = path.join(__dirname, '..', '..', 'index.html');
+
+// The stylesheet's ?v= is bumped in index.html only; pages use the same one
+const STYLES_VERSION = fsSync.readFileSync(INDEX_HTML, 'utf-8').match(/css\/styles\.css\?v=(\d+)/)?.[1];
+if (!STYLES_VERSION) {
+  throw new Error('No css/styles.css?v= found in index.html');
+}
+// Bump when js/profile.js changes
+const PROFILE_SCRIPT_VERSION = 1;
+
+// Placements listed under "Recent placements"
+export const RECENT_PLACEMENTS = 10;
+
+const SITE_NAME = 'MyVMK High Scores';
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+/**
+ * The player's best in each game they've played, in registry order
+ */
+function bestsOf(profile) {
+  return GAMES
+    .filter(game => profile.games[game.id]?.bestScore)
+    .map(game => ({ game, stats: profile.games[game.id] }));
+}
+
+/**
+ * The player's latest placements across all games, newest first
+ */
+export function recentPlacements(history) {
+  return Object.entries(history)
+    .flatMap(([gameId, days]) => days.map(day => ({ gameId, ...day })))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.rank - b.rank)
+    .slice(0, RECENT_PLACEMENTS);
+}
+
+/**
+ * One-line summary for link previews, e.g.
+ * "kazino's MyVMK high scores: Castle Fireworks Remixed 11,484 (#1 all-time)"
+ */
+export function profileDescription(player) {
+  const bests = bestsOf(player.profile).map(({ game, stats }) =>
+    `${game.name} ${stats.bestScore.toLocaleString('en-US')}${stats.allTimeRank ? ` (#${stats.allTimeRank} all-time)` : ''}`);
+  return bests.length > 0
+    ? `${player.username}'s MyVMK high scores: ${bests.join(' · ')}`
+    : `${player.username} on the MyVMK high score boards`;
+}
+
+function gameRowHtml(game, stats) {
+  let context = 'No data';
+  if (stats?.bestScore) {
+    context = stats.allTimeRank
+      ? `#${stats.allTimeRank} All-Time`
+      : stats.date ? `Top ${stats.rank} • ${formatDate(stats.date)}` : '';
+  }
+
+  return `
+        <div class="user-game-row">
+          <span class="user-game-icon">${game.icon}</span>
+          <span class="user-game-name">${escapeHtml(game.shortName)}</span>
+          <span class="user-game-score">${stats?.bestScore ? stats.bestScore.toLocaleString('en-US') : '—'}</span>
+          <span class="user-game-context">${context}</span>
+        </div>`;
+}
+
+/**
+ * The profile page for a player file ({ username, slug, profile, history })
+ * siteUrl is the site's home page, ending in a slash, for the Open Graph tags
+ */
+export function renderProfilePage(player, siteUrl) {
+  const { username, slug, profile, history } = player;
+  const name = escapeHtml(username);
+  const pageUrl = `${siteUrl}data/profiles/${slug}.html`;
+  const description = escapeHtml(profileDescription(player));
+  const gamesById = new Map(GAMES.map(g => [g.id, g]));
+
+  const imageTag = profile.avatar
+    ? `\n  <meta property="og:image" content="${escapeHtml(`${siteUrl}data/avatars/${profile.avatar}`)}">`
+    : '';
+  const avatarHtml = profile.avatar
+    ? `<img src="../avatars/${profile.avatar}" alt="${name}" class="user-card-avatar">`
+    : '<div class="user-avatar-placeholder"></div>';
+  const subtitle = profile.lastSeen ? `Last seen ${formatDate(profile.lastSeen)}` : 'No recent activity';
+  const formerNamesHtml = profile.formerNames?.length
+    ? `\n          <p class="user-card-former-names">Also seen as ${profile.formerNames.map(escapeHtml).join(', ')}</p>`
+    : '';
+
+  const placements = recentPlacements(history);
+  const placementsHtml = placements.length > 0
+    ? placements.map(({ gameId, date, rank, score }) => `
+        <li class="profile-placement">
+          <span class="profile-placement-rank">#${rank}</span>
+          <span class="profile-placement-game">${gamesById.get(gameId)?.icon || ''} ${escapeHtml(gamesById.get(gameId)?.name || gameId)}</span>
+          <span class="profile-placement-score">${score.toLocaleString('en-US')}</span>
+          <span class="profile-placement-date">${formatDate(date)}</span>
+        </li>`).join('')
+    : '\n        <li class="empty-state">No placements on a daily board yet</li>';
+
+  const chartsHtml = GAMES
+    .filter(game => history[game.id]?.length > 0)
+    .map(game => `
+        <div class="user-history-card">
+          <h3>${game.icon} ${escapeHtml(game.name)}</h3>
+          <canvas data-game="${game.id}" data-color="${game.color}"></canvas>
+        </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${name} – ${SITE_NAME}</title>
+  <meta name="description" content="${description}">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <meta property="og:type" content="profile">
+  <meta property="og:site_name" content="${SITE_NAME}">
+  <meta property="og:title" content="${name} – ${SITE_NAME}">
+  <meta property="og:description" content="${description}">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">${imageTag}
+  <meta property="profile:username" content="${name}">
+  <meta name="twitter:card" content="summary">
+  <link rel="stylesheet" href="../../css/styles.css?v=${STYLES_VERSION}">
+  <link rel="icon" type="image/png" href="https://download.myvmk.com/home/favicon-32x32.png">
+  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+</head>
+<body data-player="${slug}">
+  <header class="header">
+    <div class="header-content">
+      <h1 class="title">${SITE_NAME}</h1>
+      <p class="subtitle"><a href="../../index.html" class="profile-back-link">← All leaderboards</a></p>
+    </div>
+  </header>
+
+  <main class="main-content profile-page">
+    <div class="user-card profile-card">
+      <div class="user-card-header">
+        ${avatarHtml}
+        <div class="user-card-info">
+          <h2 class="user-card-name">${name}</h2>
+          <p class="user-card-subtitle">${subtitle}</p>${formerNamesHtml}
+        </div>
+      </div>
+      <div class="user-card-games">${GAMES.map(game => gameRowHtml(game, profile.games[game.id])).join('')}
+      </div>
+    </div>
+
+    <section class="profile-section">
+      <h2 class="user-history-title">Recent Placements</h2>
+      <ol class="profile-placements">${placementsHtml}
+      </ol>
+    </section>
+
+    <section class="user-history-section">
+      <h2 class="user-history-title">Score History</h2>
+      <div class="user-history-grid">${chartsHtml}
+      </div>
+    </section>
+  </main>
+
+  <footer class="footer">
+    <div class="created-by">
+      <img src="../../assets/bsims.png" alt="bsims avatar">
+      <span>Created by bsims</span>
+    </div>
+    <div class="disclaimers">
+      <p>This is a fan-made score tracker. Not affiliated with MyVMK or Disney.</p>
+      <p>Scores are scraped daily and preserved for historical tracking.</p>
+    </div>
+  </footer>
+
+  <script src="../../js/profile.js?v=${PROFILE_SCRIPT_VERSION}"></script>
+</body>
+</html>
+`;
+}
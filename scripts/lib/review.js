@@ -0,0 +1,110 @@
+/**
+ * Plausibility checks for scraped scores and the review queue they feed
+ * (data/review-queue.json). A flagged score is held out of all-time.json,
+ * users.json and everything built from the daily snapshots (period boards,
+ * share cards, player histories) until someone approves it with
+ * scripts/review.js; decisions are kept so rebuilds replaying the same
+ * snapshots reach the same result.
+ */
+
+import crypto from 'crypto';
+import { isBetterScore } from './games.js';
+
+export const REVIEW_THRESHOLDS = {
+  // A new all-time record this many times the current one
+  recordRatio: 1.5,
+  // A personal best this many times the player's previous best, when it
+  // would make the all-time board
+  personalJumpRatio: 10,
+  // Fewer all-time scores than this isn't enough history to judge a record by
+  minHistory: 10
+};
+
+/**
+ * Stable short id for a score under review
+ */
+export function reviewId({ gameId, username, score }) {
+  return crypto.createHash('sha1').update(`${gameId}|${username}|${score}`).digest('hex').slice(0, 8);
+}
+
+export function emptyReviewQueue() {
+  return { lastUpdated: null, pending: [], decisions: [] };
+}
+
+/**
+ * How many times better score is than reference, in the game's score direction
+ */
+function improvementRatio(gameId, score, reference) {
+  if (score <= 0 || reference <= 0) return 1;
+  return isBetterScore(gameId, 1, 2) ? reference / score : score / reference;
+}
+
+/**
+ * Reasons a score looks implausible, empty when it doesn't
+ * board is the game's current all-time board (best first, at most boardSize
+ * entries) and personalBest the player's best before this score, if any.
+ */
+export function findSuspiciousReasons(gameId, score, { board, boardSize, personalBest = null }) {
+  const reasons = [];
+
+  if (board.length >= REVIEW_THRESHOLDS.minHistory) {
+    const record = board[0].score;
+    const ratio = improvementRatio(gameId, score, record);
+    if (ratio >= REVIEW_THRESHOLDS.recordRatio) {
+      reasons.push(`${ratio.toFixed(1)}x the all-time record of ${record}`);
+    }
+  }
+
+  const makesBoard = board.length < boardSize || isBetterScore(gameId, score, board[board.length - 1].score);
+  if (personalBest !== null && makesBoard) {
+    const ratio = improvementRatio(gameId, score, personalBest);
+    if (ratio >= REVIEW_THRESHOLDS.personalJumpRatio) {
+      reasons.push(`${ratio.toFixed(1)}x the player's previous best of ${personalBest}`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Whether a score may go on the all-time board: approved, or never flagged
+ * Unreviewed scores are checked now and queued if they look implausible.
+ * Returns false for scores that are pending or were rejected.
+ */
+export function screenScore(queue, entry, context) {
+  const id = reviewId(entry);
+
+  const decision = queue.decisions.find(d => d.id === id);
+  if (decision) return decision.decision === 'approved';
+  if (queue.pending.some(p => p.id === id)) return false;
+
+  const reasons = findSuspiciousReasons(entry.gameId, entry.score, context);
+  if (reasons.length === 0) return true;
+
+  queue.pending.push({ id, ...entry, reasons });
+  console.warn(`Held ${entry.username}'s ${entry.score} on ${entry.gameId} for review: ${reasons.join('; ')}`);
+  return false;
+}
+
+/**
+ * Whether a score is kept out of the data: waiting for review, or rejected
+ */
+export function isHeldForReview(queue, entry) {
+  const id = reviewId(entry);
+  return queue.pending.some(p => p.id === id) ||
+    queue.decisions.some(d => d.id === id && d.decision === 'rejected');
+}
+
+/**
+ * Move a pending score to the decisions list
+ * Returns the decided entry, or null if no pending score has that id.
+ */
+export function decideScore(queue, id, decision, decidedAt) {
+  const index = queue.pending.findIndex(p => p.id === id);
+  if (index === -1) return null;
+
+  const [entry] = queue.pending.splice(index, 1);
+  const decided = { ...entry, decision, decidedAt };
+  queue.decisions.push(decided);
+  return decided;
+}
@@ -0,0 +1,78 @@
+/**
+ * JSON Schema validation for the files under data/
+ * Schemas live in schemas/v<SCHEMA_VERSION>/ and are published with the site.
+ */
+
+import Ajv from 'ajv';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMA_VERSION = 1;
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas', `v${SCHEMA_VERSION}`);
+
+// Data file kind -> schema file
+const SCHEMA_FILES = {
+  'daily-snapshot': 'daily-snapshot.schema.json',
+  'intraday': 'intraday.schema.json',
+  'all-time': 'all-time.schema.json',
+  'users': 'users.schema.json',
+  'double-credit-days': 'double-credit-days.schema.json',
+  'http-cache': 'http-cache.schema.json',
+  'games': 'games.schema.json',
+  'player': 'player.schema.json',
+  'player-index': 'player-index.schema.json',
+  'aggregate': 'aggregate.schema.json',
+  'manifest': 'manifest.schema.json',
+  'review-queue': 'review-queue.schema.json',
+  'aliases': 'aliases.schema.json',
+  'events': 'events.schema.json',
+  'json-feed': 'json-feed.schema.json',
+  'webhooks': 'webhooks.schema.json',
+  'notifications': 'notifications.schema.json'
+};
+
+const ajv = new Ajv({ allErrors: true });
+for (const file of fsSync.readdirSync(SCHEMAS_DIR).filter(f => f.endsWith('.schema.json'))) {
+  ajv.addSchema(JSON.parse(fsSync.readFileSync(path.join(SCHEMAS_DIR, file), 'utf-8')));
+}
+
+const validators = new Map();
+
+function getValidator(kind) {
+  if (!SCHEMA_FILES[kind]) {
+    throw new Error(`Unknown data file kind: ${kind}`);
+  }
+  if (!validators.has(kind)) {
+    const schemaPath = path.join(SCHEMAS_DIR, SCHEMA_FILES[kind]);
+    const { $id } = JSON.parse(fsSync.readFileSync(schemaPath, 'utf-8'));
+    validators.set(kind, ajv.getSchema($id));
+  }
+  return validators.get(kind);
+}
+
+/**
+ * Validate data against the schema for its kind
+ * Returns a list of violations as "<json path>: <message>", empty when valid.
+ */
+export function validateData(kind, data) {
+  const validate = getValidator(kind);
+  if (validate(data)) return [];
+
+  return validate.errors.map(error => `${error.instancePath || '/'}: ${error.message}`);
+}
+
+/**
+ * Throw if data doesn't match its schema, so nothing invalid gets written
+ */
+export function assertValid(kind, data, label) {
+  const violations = validateData(kind, data);
+  if (violations.length > 0) {
+    throw new Error(
+      `Refusing to write ${label}: ${violations.length} schema violation(s)\n  ` +
+      violations.slice(0, 20).join('\n  ')
+    );
+  }
+}
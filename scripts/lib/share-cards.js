@@ -0,0 +1,31 @@
+/**
+ * PNG share cards rendered without a browser
+ * The SVG templates are the ones the site's Share button uses
+ * (js/share-cards.js); resvg turns them into PNGs for the scraper run.
+ */
+
+import { Resvg } from '@resvg/resvg-js';
+import fs from 'fs/promises';
+
+export { CARD_WIDTH, CARD_HEIGHT, boardCardSvg, recordCardSvg } from '../../js/share-cards.js';
+
+/**
+ * Render an SVG card to a PNG buffer
+ */
+export function renderPng(svg) {
+  const resvg = new Resvg(svg, {
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * An avatar file as a data: URI for embedding in a card, or null if it's missing
+ */
+export async function avatarDataUri(filepath) {
+  try {
+    return `data:image/png;base64,${(await fs.readFile(filepath)).toString('base64')}`;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Atomic, all-or-nothing writes for the files under data/
+ *
+ * Every file is written to a temp file and renamed into place, so a crash can
+ * never leave truncated JSON behind. Writes that must land together (the daily
+ * snapshot, all-time.json and users.json) are staged in a transaction and
+ * committed behind a journal: the previous versions are copied to data/.backup/
+ * first, so an interrupted commit is rolled back on the next run and the last
+ * commit can be undone by hand (scripts/rollback.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const JOURNAL_FILE = '.transaction.json';
+const BACKUP_DIR = '.backup';
+const BACKUP_MANIFEST = 'manifest.json';
+
+async function exists(filepath) {
+  try {
+    await fs.access(filepath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write contents to a temp file next to filepath and flush it to disk
+ */
+async function writeTempFile(filepath, contents) {
+  await fs.mkdir(path.dirname(filepath), { recursive: true });
+  const tempPath = `${filepath}.${process.pid}.tmp`;
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  return tempPath;
+}
+
+/**
+ * Replace a file atomically: write a temp file, then rename it over the target
+ */
+export async function writeFileAtomic(filepath, contents) {
+  const tempPath = await writeTempFile(filepath, contents);
+  try {
+    await fs.rename(tempPath, filepath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Start a transaction against a data directory
+ * With fromScratch, reads through the transaction only see staged files, as if
+ * the data directory were empty (used to rebuild derived files from history).
+ */
+export function beginTransaction(dataDir, { fromScratch = false } = {}) {
+  return { dataDir, staged: new Map(), fromScratch };
+}
+
+/**
+ * Stage new contents for a file, replacing anything staged for it earlier
+ */
+export function stageFile(transaction, filepath, contents) {
+  transaction.staged.set(path.resolve(filepath), contents);
+}
+
+/**
+ * Get staged contents for a file, or undefined if nothing is staged
+ */
+export function getStagedFile(transaction, filepath) {
+  return transaction.staged.get(path.resolve(filepath));
+}
+
+/**
+ * Put every file listed in a backup back the way it was before its transaction
+ */
+async function restoreFromBackup(dataDir, entries) {
+  const backupDir = path.join(dataDir, BACKUP_DIR);
+
+  for (const { file, existed } of entries) {
+    const target = path.join(dataDir, file);
+    if (existed) {
+      await writeFileAtomic(target, await fs.readFile(path.join(backupDir, file)));
+    } else {
+      await fs.rm(target, { force: true });
+    }
+  }
+}
+
+/**
+ * Write every staged file, or none of them
+ */
+export async function commitTransaction(transaction) {
+  const { dataDir, staged } = transaction;
+  if (staged.size === 0) return;
+
+  const backupDir = path.join(dataDir, BACKUP_DIR);
+  const journalPath = path.join(dataDir, JOURNAL_FILE);
+
+  // 1. Keep the previous versions for rollback
+  await fs.rm(backupDir, { recursive: true, force: true });
+  const entries = [];
+  for (const filepath of staged.keys()) {
+    const file = path.relative(dataDir, filepath);
+    const existed = await exists(filepath);
+    if (existed) {
+      await fs.mkdir(path.dirname(path.join(backupDir, file)), { recursive: true });
+      await fs.copyFile(filepath, path.join(backupDir, file));
+    }
+    entries.push({ file, existed });
+  }
+
+  // 2. Write the new versions beside the old ones. A crash here leaves the
+  //    targets untouched.
+  const tempPaths = new Map();
+  try {
+    for (const [filepath, contents] of staged) {
+      tempPaths.set(filepath, await writeTempFile(filepath, contents));
+    }
+  } catch (error) {
+    await Promise.all([...tempPaths.values()].map(tempPath => fs.rm(tempPath, { force: true })));
+    throw error;
+  }
+
+  // 3. From here until the journal is removed, a crash is rolled back by recoverTransaction
+  const startedAt = new Date().toISOString();
+  await writeFileAtomic(journalPath, JSON.stringify({ startedAt, files: entries }, null, 2));
+
+  try {
+    for (const [filepath, tempPath] of tempPaths) {
+      await fs.rename(tempPath, filepath);
+    }
+  } catch (error) {
+    await Promise.all([...tempPaths.values()].map(tempPath => fs.rm(tempPath, { force: true })));
+    await restoreFromBackup(dataDir, entries);
+    await fs.rm(journalPath, { force: true });
+    throw error;
+  }
+
+  // 4. Committed: remember what the backup holds so it can still be rolled back by hand
+  await writeFileAtomic(
+    path.join(backupDir, BACKUP_MANIFEST),
+    JSON.stringify({ committedAt: new Date().toISOString(), files: entries }, null, 2)
+  );
+  await fs.rm(journalPath, { force: true });
+}
+
+/**
+ * Roll back a commit that was interrupted part way through
+ * Returns the journal of the rolled back transaction, or null if there was none.
+ */
+export async function recoverTransaction(dataDir) {
+  const journalPath = path.join(dataDir, JOURNAL_FILE);
+
+  let journal;
+  try {
+    journal = JSON.parse(await fs.readFile(journalPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  await restoreFromBackup(dataDir, journal.files);
+  await fs.rm(journalPath, { force: true });
+  return journal;
+}
+
+/**
+ * Undo the last committed transaction using its backup
+ * Returns the backup manifest that was restored, or null if there is nothing to undo.
+ */
+export async function rollbackLastTransaction(dataDir) {
+  const manifestPath = path.join(dataDir, BACKUP_DIR, BACKUP_MANIFEST);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  await restoreFromBackup(dataDir, manifest.files);
+  // A backup can only be applied once
+  await fs.rm(manifestPath, { force: true });
+  return manifest;
+}
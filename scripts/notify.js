@@ -0,0 +1,59 @@
+/**
+ * Send webhook notifications for a day's leaderboard events
+ * The scraper does this after every run; this is for checking the webhooks in
+ * config/webhooks.json without waiting for one. Set each webhook's URL in the
+ * environment variable named by its urlEnv.
+ *
+ * Usage:
+ *   node scripts/notify.js                   # send what hasn't been sent for today (Pacific)
+ *   node scripts/notify.js --date 2026-08-23 # ... for another day
+ *   node scripts/notify.js --dry-run         # print the messages instead of sending them
+ *   node scripts/notify.js --test            # send a test message to every webhook
+ */
+
+import { parseArgs } from 'util';
+import { SITE_URL, getPacificDate, notifyWebhooks } from './scraper.js';
+import { configuredWebhooks, testMessage, postWebhook } from './lib/notifications.js';
+
+async function sendTestMessages(webhooks, dryRun) {
+  const payload = testMessage(SITE_URL);
+  for (const webhook of webhooks) {
+    if (dryRun) {
+      console.log(`Would send to ${webhook.name}:\n${JSON.stringify(payload, null, 2)}`);
+      continue;
+    }
+    await postWebhook(webhook.url, payload);
+    console.log(`Sent a test message to ${webhook.name}`);
+  }
+}
+
+async function notify({ date, dryRun, test }) {
+  const webhooks = configuredWebhooks();
+  if (webhooks.length === 0) {
+    console.log('No webhooks configured: set the environment variable named by urlEnv in config/webhooks.json');
+    return;
+  }
+
+  if (test) {
+    await sendTestMessages(webhooks, dryRun);
+    return;
+  }
+
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`Invalid --date value: ${date}`);
+  }
+  await notifyWebhooks(date || getPacificDate(), { dryRun });
+}
+
+const { values } = parseArgs({
+  options: {
+    date: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    test: { type: 'boolean', default: false }
+  }
+});
+
+notify({ date: values.date, dryRun: values['dry-run'], test: values.test }).catch(error => {
+  console.error('Notify failed:', error);
+  process.exit(1);
+});
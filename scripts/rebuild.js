@@ -0,0 +1,222 @@
+/**
+ * Regenerate all-time.json and users.json from scratch by replaying every
+ * daily snapshot in date order through the scraper's own update functions,
+ * then the per-player files and period leaderboards derived from them
+ * Run this after changing the merge logic so the derived files match it.
+ *
+ * Reconstructed days are skipped: the live scraper never ran on them, and their
+ * scores already reach users.json through the next day's "yesterday" column.
+ * Players in the current users.json that no snapshot mentions (seen only before
+ * our oldest snapshot) can't be replayed, so they are carried over as they are.
+ * Likewise a record in the current all-time.json or users.json that beats
+ * what the snapshots reach is kept, so a rebuild never lowers a record.
+ *
+ * Usage:
+ *   node scripts/rebuild.js            # rewrite all-time.json, users.json, data/players/, data/profiles/, data/aggregates/ and the feeds
+ *   node scripts/rebuild.js --dry-run  # diff the rebuilt files against data/, write nothing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+  DATA_DIR,
+  DAILY_DIR,
+  ALL_TIME_FILE,
+  USERS_FILE,
+  ALL_TIME_SIZE,
+  writeDataFile,
+  updateAllTimeScores,
+  updateUsersIndex,
+  assignAllTimeRanks,
+  loadReviewQueue,
+  updatePlayerFiles,
+  updateAggregates,
+  updateFeeds
+} from './scraper.js';
+import { canonicalName } from './lib/aliases.js';
+import { isBetterScore, compareScores, assignCompetitionRanks } from './lib/games.js';
+import { isHeldForReview } from './lib/review.js';
+import { beginTransaction, getStagedFile, commitTransaction } from './lib/transaction.js';
+import { diffJSON } from './lib/json-diff.js';
+
+// Diffs of users.json can run to thousands of lines
+const MAX_DIFF_LINES = 50;
+
+async function readJSON(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * The users.json entries for players no snapshot mentions under any of their names
+ */
+function usersMissingFrom(snapshots, usersData) {
+  const seen = new Set();
+  for (const snapshot of snapshots) {
+    for (const gameData of Object.values(snapshot.games)) {
+      for (const column of ['today', 'yesterday', 'highscores']) {
+        for (const entry of gameData[column]?.scores || []) {
+          seen.add(canonicalName(entry.username));
+        }
+      }
+    }
+  }
+
+  return Object.fromEntries(Object.entries(usersData?.users || {})
+    .filter(([username]) => !seen.has(canonicalName(username))));
+}
+
+/**
+ * Put back each current all-time entry and users.json best that beats the
+ * replayed one, e.g. scores from before our oldest snapshot
+ * Scores held for review stay out, as they would in the scraper. Returns how
+ * many were put back.
+ */
+function keepExistingRecords(allTime, usersData, existingAllTime, existingUsers, reviewQueue) {
+  let kept = 0;
+  const isHeld = (gameId, username, score) => isHeldForReview(reviewQueue, { gameId, username, score });
+
+  for (const [gameId, existingGame] of Object.entries(existingAllTime?.games || {})) {
+    const game = allTime.games[gameId] ??= { name: existingGame.name, topAvatar: null, scores: [] };
+    const byName = new Map(game.scores.map(entry => [entry.username, entry]));
+
+    for (const entry of existingGame.scores) {
+      const username = canonicalName(entry.username);
+      const replayed = byName.get(username);
+      if (isHeld(gameId, username, entry.score)) continue;
+      if (!replayed || isBetterScore(gameId, entry.score, replayed.score)) {
+        byName.set(username, { ...entry, username });
+        kept++;
+      }
+    }
+
+    const top = game.scores[0];
+    game.scores = assignCompetitionRanks([...byName.values()].sort(compareScores(gameId)).slice(0, ALL_TIME_SIZE));
+    // A #1 put back from the current board keeps that board's avatar
+    const existingTop = existingGame.scores[0] && canonicalName(existingGame.scores[0].username);
+    if (game.scores[0] && game.scores[0] !== top && game.scores[0].username === existingTop) {
+      game.topAvatar = existingGame.topAvatar;
+    }
+  }
+
+  const users = usersData.users;
+  for (const [name, existingUser] of Object.entries(existingUsers?.users || {})) {
+    const username = canonicalName(name);
+    if (!users[username]) {
+      users[username] = existingUser;
+      continue;
+    }
+    for (const [gameId, stats] of Object.entries(existingUser.games)) {
+      const replayed = users[username].games[gameId];
+      if (stats.date === null || isHeld(gameId, username, stats.bestScore)) continue;
+      if (!replayed || replayed.date === null || isBetterScore(gameId, stats.bestScore, replayed.bestScore)) {
+        // Ranked against the merged boards below
+        users[username].games[gameId] = { ...stats };
+        delete users[username].games[gameId].allTimeRank;
+        kept++;
+      }
+    }
+  }
+  assignAllTimeRanks(users, allTime);
+  usersData.userCount = Object.keys(users).length;
+
+  return kept;
+}
+
+async function rebuild({ dryRun }) {
+  console.log('=== Rebuilding all-time.json and users.json from daily snapshots ===');
+
+  const files = (await fs.readdir(DAILY_DIR)).filter(f => f.endsWith('.json')).sort();
+  const snapshots = [];
+  for (const file of files) {
+    const snapshot = JSON.parse(await fs.readFile(path.join(DAILY_DIR, file), 'utf-8'));
+    if (snapshot.reconstructed || Object.keys(snapshot.games || {}).length === 0) continue;
+    snapshots.push(snapshot);
+  }
+
+  if (snapshots.length === 0) {
+    console.log('No daily snapshots to replay');
+    return;
+  }
+
+  const transaction = beginTransaction(DATA_DIR, { fromScratch: true });
+
+  // Start from the players the snapshots can't bring back, so the replay
+  // merges their aliases and ranks them against the rebuilt all-time boards
+  const existingUsers = await readJSON(USERS_FILE);
+  const carriedOver = usersMissingFrom(snapshots, existingUsers);
+  if (Object.keys(carriedOver).length > 0) {
+    console.log(`Keeping ${Object.keys(carriedOver).length} player(s) from users.json that no snapshot mentions`);
+    await writeDataFile(USERS_FILE, 'users', {
+      lastUpdated: existingUsers.lastUpdated,
+      userCount: Object.keys(carriedOver).length,
+      users: carriedOver
+    }, transaction);
+  }
+
+  for (const snapshot of snapshots) {
+    await updateAllTimeScores(snapshot.games, snapshot.date, transaction);
+    await updateUsersIndex(snapshot.games, snapshot.date, transaction);
+  }
+  const replayed = snapshots.length;
+
+  const existingAllTime = await readJSON(ALL_TIME_FILE);
+  const allTime = JSON.parse(getStagedFile(transaction, ALL_TIME_FILE));
+  const usersData = JSON.parse(getStagedFile(transaction, USERS_FILE));
+  const kept = keepExistingRecords(allTime, usersData, existingAllTime, existingUsers, await loadReviewQueue());
+  if (kept > 0) {
+    console.log(`Keeping ${kept} record(s) from the current files that beat the snapshots`);
+    await writeDataFile(ALL_TIME_FILE, 'all-time', allTime, transaction);
+    await writeDataFile(USERS_FILE, 'users', usersData, transaction);
+  }
+
+  let changedFiles = 0;
+  for (const filepath of [ALL_TIME_FILE, USERS_FILE]) {
+    const label = path.relative(DATA_DIR, filepath);
+    const existing = filepath === USERS_FILE ? existingUsers : existingAllTime;
+    const changes = existing
+      ? diffJSON(existing, JSON.parse(getStagedFile(transaction, filepath)))
+      : ['(new file)'];
+
+    if (changes.length === 0) {
+      console.log(`${label}: unchanged`);
+      continue;
+    }
+
+    changedFiles++;
+    console.log(`${label}: ${changes.length} change(s)`);
+    for (const line of changes.slice(0, MAX_DIFF_LINES)) {
+      console.log(`  ${line}`);
+    }
+    if (changes.length > MAX_DIFF_LINES) {
+      console.log(`  ... and ${changes.length - MAX_DIFF_LINES} more`);
+    }
+  }
+
+  if (!dryRun) {
+    if (changedFiles > 0) {
+      await commitTransaction(transaction);
+    }
+    const usersData = JSON.parse(getStagedFile(transaction, USERS_FILE));
+    await updatePlayerFiles(usersData);
+    await updateAggregates(usersData.lastUpdated, usersData);
+    await updateFeeds();
+  }
+
+  console.log(`=== Replayed ${replayed} day(s); ${dryRun ? 'dry run, would change' : 'changed'} ${changedFiles} file(s) ===`);
+}
+
+const { values } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+rebuild({ dryRun: values['dry-run'] }).catch(error => {
+  console.error('Rebuild failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+/**
+ * Rebuild daily snapshots from archived raw pages
+ * Re-runs parseAllGames over data/raw/<date>/*.html.gz and regenerates the
+ * matching data/daily/<date>.json, printing a diff of what changed first.
+ *
+ * Usage:
+ *   node scripts/reprocess.js                     # every archived day
+ *   node scripts/reprocess.js --date 2026-08-22   # a single day
+ *   node scripts/reprocess.js --dry-run           # show the diff, write nothing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import {
+  DAILY_DIR,
+  parseAllGames,
+  listArchivedPages,
+  readArchivedPage,
+  buildDailySnapshot,
+  writeDataFile,
+  getNextDate,
+  finalizeSnapshot,
+  updateManifest
+} from './scraper.js';
+import { diffJSON } from './lib/json-diff.js';
+
+/**
+ * Rebuild one day's snapshot from its archived pages
+ * Pages are replayed oldest first with the same rules as a live scrape: empty
+ * pages are ignored and a page never replaces one that had more games.
+ */
+async function rebuildSnapshot(pages) {
+  let snapshot = null;
+
+  for (const page of pages) {
+    const { games, unknownSections } = parseAllGames(await readArchivedPage(page.filepath));
+    const gameCount = Object.keys(games).length;
+    if (gameCount === 0) continue;
+    if (snapshot && Object.keys(snapshot.games).length > gameCount) continue;
+
+    snapshot = buildDailySnapshot(games, page.date, new Date(page.scrapedAt), unknownSections);
+  }
+
+  return snapshot;
+}
+
+async function reprocess({ date, dryRun }) {
+  console.log('=== Reprocessing archived pages ===');
+
+  const pages = await listArchivedPages(date);
+  if (pages.length === 0) {
+    console.log(date ? `No archived pages for ${date}` : 'No archived pages found');
+    return;
+  }
+
+  const pagesByDate = new Map();
+  for (const page of pages) {
+    if (!pagesByDate.has(page.date)) pagesByDate.set(page.date, []);
+    pagesByDate.get(page.date).push(page);
+  }
+
+  let changedDays = 0;
+
+  for (const [day, dayPages] of pagesByDate) {
+    const snapshot = await rebuildSnapshot(dayPages);
+    if (!snapshot) {
+      console.log(`${day}: all ${dayPages.length} archived page(s) were empty, skipping`);
+      continue;
+    }
+
+    const filepath = path.join(DAILY_DIR, `${day}.json`);
+    let existing = null;
+    try {
+      existing = JSON.parse(await fs.readFile(filepath, 'utf-8'));
+    } catch {
+      // No snapshot for this day yet
+    }
+
+    // The final board comes from the next day's snapshot, not these pages, so carry it over
+    if (existing?.final) {
+      try {
+        const nextDate = getNextDate(day);
+        const next = JSON.parse(await fs.readFile(path.join(DAILY_DIR, `${nextDate}.json`), 'utf-8'));
+        finalizeSnapshot(snapshot, next.games || {}, nextDate, new Date(existing.finalizedAt));
+      } catch {
+        console.warn(`${day}: could not re-read the next day's snapshot, final board will be dropped`);
+      }
+    }
+
+    const changes = existing ? diffJSON(existing, snapshot) : ['(new snapshot)'];
+    if (changes.length === 0) {
+      console.log(`${day}: unchanged`);
+      continue;
+    }
+
+    changedDays++;
+    console.log(`${day}: ${changes.length} change(s)`);
+    for (const line of changes) {
+      console.log(`  ${line}`);
+    }
+
+    if (!dryRun) {
+      await fs.mkdir(DAILY_DIR, { recursive: true });
+      await writeDataFile(filepath, 'daily-snapshot', snapshot);
+      console.log(`Saved daily snapshot: ${day}.json`);
+    }
+  }
+
+  if (changedDays > 0 && !dryRun) {
+    await updateManifest();
+    console.log('Changed "yesterday" columns affect the previous day\'s final board - run npm run finalize');
+  }
+
+  console.log(
+    dryRun
+      ? `=== Dry run: ${changedDays} snapshot(s) would change ===`
+      : `=== Reprocessed ${pagesByDate.size} day(s), ${changedDays} snapshot(s) changed ===`
+  );
+}
+
+const { values } = parseArgs({
+  options: {
+    date: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+reprocess({ date: values.date || null, dryRun: values['dry-run'] }).catch(error => {
+  console.error('Reprocess failed:', error);
+  process.exit(1);
+});
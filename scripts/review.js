@@ -0,0 +1,94 @@
+/**
+ * Review scores the scraper held out of all-time.json as implausible
+ * Approved scores go on the all-time board and into the player's bests in
+ * users.json; rejected ones never will. Both decisions are kept in
+ * review-queue.json so rebuilds honor them.
+ *
+ * Usage:
+ *   node scripts/review.js                        # list scores waiting for review
+ *   node scripts/review.js --approve <id> [...]   # put scores on the all-time board
+ *   node scripts/review.js --reject <id> [...]    # keep scores off it for good
+ */
+
+import { parseArgs } from 'util';
+import {
+  DATA_DIR,
+  REVIEW_QUEUE_FILE,
+  writeDataFile,
+  loadReviewQueue,
+  addApprovedScores,
+  updatePlayerFiles,
+  updateAggregates,
+  updateFeeds
+} from './scraper.js';
+import { decideScore } from './lib/review.js';
+import { beginTransaction, commitTransaction } from './lib/transaction.js';
+
+function describe(entry) {
+  return `${entry.id}  ${entry.gameId}  ${entry.username}  ${entry.score} (${entry.date})`;
+}
+
+function listPending(queue) {
+  if (queue.pending.length === 0) {
+    console.log('No scores waiting for review');
+    return;
+  }
+
+  console.log(`${queue.pending.length} score(s) waiting for review:`);
+  for (const entry of queue.pending) {
+    console.log(`  ${describe(entry)}`);
+    for (const reason of entry.reasons) {
+      console.log(`      ${reason}`);
+    }
+  }
+}
+
+async function review({ approve, reject }) {
+  const queue = await loadReviewQueue();
+
+  if (approve.length === 0 && reject.length === 0) {
+    listPending(queue);
+    return;
+  }
+
+  const ids = [...approve, ...reject];
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Each score can only be decided once');
+  }
+  const unknown = ids.filter(id => !queue.pending.some(p => p.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`No pending score with id ${unknown.join(', ')}`);
+  }
+
+  const decidedAt = new Date().toISOString();
+  const approved = approve.map(id => decideScore(queue, id, 'approved', decidedAt));
+  const rejected = reject.map(id => decideScore(queue, id, 'rejected', decidedAt));
+
+  const transaction = beginTransaction(DATA_DIR);
+  const added = approved.length > 0 ? await addApprovedScores(approved, transaction) : null;
+  await writeDataFile(REVIEW_QUEUE_FILE, 'review-queue', queue, transaction);
+  await commitTransaction(transaction);
+
+  for (const entry of approved) console.log(`Approved ${describe(entry)}`);
+  for (const entry of rejected) console.log(`Rejected ${describe(entry)}`);
+
+  // Player files, the all-time leaderboard and the feeds are derived from
+  // users.json, all-time.json and the events
+  if (added) {
+    await updatePlayerFiles(added.usersData);
+    await updateAggregates(added.allTime.lastUpdated, added.usersData);
+    await updateFeeds();
+  }
+}
+
+const { values } = parseArgs({
+  options: {
+    approve: { type: 'string', multiple: true, default: [] },
+    reject: { type: 'string', multiple: true, default: [] }
+  }
+});
+
+review(values).catch(error => {
+  console.error('Review failed:', error);
+  process.exit(1);
+});
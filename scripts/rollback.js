@@ -0,0 +1,40 @@
+/**
+ * Undo the scraper's last write to the daily snapshot, all-time.json and users.json
+ * If a run crashed part way through writing them, that interrupted write is
+ * rolled back instead. The scraper also does this itself at the start of a run.
+ *
+ * Usage:
+ *   node scripts/rollback.js
+ */
+
+import { DATA_DIR } from './scraper.js';
+import { recoverTransaction, rollbackLastTransaction } from './lib/transaction.js';
+
+function listFiles(files) {
+  for (const { file, existed } of files) {
+    console.log(`  ${file}${existed ? '' : ' (removed, did not exist before)'}`);
+  }
+}
+
+async function rollback() {
+  const interrupted = await recoverTransaction(DATA_DIR);
+  if (interrupted) {
+    console.log(`Rolled back an interrupted write from ${interrupted.startedAt}:`);
+    listFiles(interrupted.files);
+    return;
+  }
+
+  const last = await rollbackLastTransaction(DATA_DIR);
+  if (!last) {
+    console.log('Nothing to roll back');
+    return;
+  }
+
+  console.log(`Rolled back the write committed at ${last.committedAt}:`);
+  listFiles(last.files);
+}
+
+rollback().catch(error => {
+  console.error('Rollback failed:', error);
+  process.exit(1);
+});
@@ -1,39 +1,197 @@
 import * as cheerio from 'cheerio';
-import { format, subDays } from 'date-fns';
+import crypto from 'crypto';
+import { format, subDays, addDays } from 'date-fns';
 import { toZonedTime, formatInTimeZone } from 'date-fns-tz';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs, promisify } from 'util';
+import zlib from 'zlib';
+import { SCHEMA_VERSION, assertValid } from './lib/schemas.js';
+import { fetchWithRetry, fetchIfModified } from './lib/http.js';
+import { GAMES, GAME_IDS, isBetterScore, compareScores, assignCompetitionRanks } from './lib/games.js';
+import { emptyReviewQueue, screenScore, isHeldForReview } from './lib/review.js';
+import { ALIASES, HAS_ALIASES, canonicalName, formerNames } from './lib/aliases.js';
+import { findConfusableGroups } from './lib/confusables.js';
+import { makeEvent, allTimeBoardEvents } from './lib/events.js';
+import { FEED_SIZE, selectFeedEvents, buildAtomFeed, buildJsonFeed } from './lib/feeds.js';
+import { configuredWebhooks, pendingNotifications, buildMessages, postWebhook } from './lib/notifications.js';
+import { renderProfilePage } from './lib/profile-page.js';
+import { boardCardSvg, recordCardSvg, renderPng, avatarDataUri } from './lib/share-cards.js';
+import {
+  writeFileAtomic,
+  beginTransaction,
+  stageFile,
+  getStagedFile,
+  commitTransaction,
+  recoverTransaction
+} from './lib/transaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT_DIR = path.join(__dirname, '..');
-const DATA_DIR = path.join(ROOT_DIR, 'data');
+// MYVMK_DATA_DIR lets tests (and offline replays) write somewhere other than the committed data/
+const DATA_DIR = process.env.MYVMK_DATA_DIR
+  ? path.resolve(process.env.MYVMK_DATA_DIR)
+  : path.join(ROOT_DIR, 'data');
 const DAILY_DIR = path.join(DATA_DIR, 'daily');
+const INTRADAY_DIR = path.join(DATA_DIR, 'intraday');
 const AVATARS_DIR = path.join(DATA_DIR, 'avatars');
+const RAW_DIR = path.join(DATA_DIR, 'raw');
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
-
-const HIGHSCORES_URL = 'https://www.myvmk.com/highscores';
+const ALL_TIME_FILE = path.join(DATA_DIR, 'all-time.json');
+const PLAYERS_DIR = path.join(DATA_DIR, 'players');
+const PLAYER_INDEX_FILE = path.join(DATA_DIR, 'player-index.json');
+const PROFILES_DIR = path.join(DATA_DIR, 'profiles');
+const SHARE_DIR = path.join(DATA_DIR, 'share');
+const AGGREGATES_DIR = path.join(DATA_DIR, 'aggregates');
+const FULL_AGGREGATES_DIR = path.join(AGGREGATES_DIR, 'full');
+const MANIFEST_FILE = path.join(DATA_DIR, 'manifest.json');
+const HTTP_CACHE_FILE = path.join(DATA_DIR, 'http-cache.json');
+const REVIEW_QUEUE_FILE = path.join(DATA_DIR, 'review-queue.json');
+const EVENTS_DIR = path.join(DATA_DIR, 'events');
+const ATOM_FEED_FILE = path.join(DATA_DIR, 'feed.xml');
+const JSON_FEED_FILE = path.join(DATA_DIR, 'feed.json');
+const NOTIFICATIONS_FILE = path.join(DATA_DIR, 'notifications.json');
+const DOUBLE_CREDIT_FILE = path.join(DATA_DIR, 'double-credit-days.json');
+
+// MYVMK_HIGHSCORES_URL lets tests point the scraper at a local stub server
+const HIGHSCORES_URL = process.env.MYVMK_HIGHSCORES_URL || 'https://www.myvmk.com/highscores';
 const PACIFIC_TZ = 'America/Los_Angeles';
 
-// Game configuration - maps CSS class patterns to game IDs
-const GAMES = [
-  { id: 'castle-fireworks', name: 'Castle Fireworks Remixed', cssClass: null }, // First game, no special class
-  { id: 'pirates', name: 'Pirates of the Caribbean', cssClass: 'potc' },
-  { id: 'haunted-mansion', name: 'Haunted Mansion', cssClass: 'hm' },
-  { id: 'jungle-cruise', name: 'Jungle Cruise', cssClass: 'junglecruise' }
-];
+// Where the site is published, for links in the feeds
+const SITE_URL = process.env.MYVMK_SITE_URL || 'https://bsims-codes.github.io/myvmk-highscores/';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 
 /**
- * Fetch the highscores page HTML
+ * Load the ETag/Last-Modified validators saved from previous fetches
+ */
+async function loadHttpCache() {
+  try {
+    return JSON.parse(await fs.readFile(HTTP_CACHE_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Fetch the highscores page HTML, unless it hasn't changed since the last run
+ * Returns { html, validators }, with html null when the server answered 304.
+ * The validators are only saved once the page has been processed (saveHttpCache),
+ * so a failed run never causes the next one to skip the page.
  */
 async function fetchHighscoresPage() {
   console.log(`Fetching ${HIGHSCORES_URL}...`);
-  const response = await fetch(HIGHSCORES_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch highscores: ${response.status} ${response.statusText}`);
+  const cache = await loadHttpCache();
+  const result = await fetchIfModified(HIGHSCORES_URL, cache[HIGHSCORES_URL]);
+
+  if (result.notModified) {
+    return { html: null, validators: cache[HIGHSCORES_URL] };
+  }
+  return { html: result.body, validators: result.validators };
+}
+
+/**
+ * Remember the validators for the highscores page for the next conditional fetch
+ */
+async function saveHttpCache(validators) {
+  const cache = await loadHttpCache();
+  if (validators && Object.keys(validators).length > 0) {
+    cache[HIGHSCORES_URL] = validators;
+  } else {
+    delete cache[HIGHSCORES_URL];
+  }
+  await writeDataFile(HTTP_CACHE_FILE, 'http-cache', cache);
+}
+
+/**
+ * Write a data file as pretty-printed JSON
+ * Validates against the file's schema first and throws instead of writing bad data.
+ * With a transaction the write is only staged until the transaction commits,
+ * otherwise the file is replaced atomically straight away.
+ */
+async function writeDataFile(filepath, kind, data, transaction = null) {
+  assertValid(kind, data, path.relative(DATA_DIR, filepath));
+  const contents = JSON.stringify(data, null, 2);
+
+  if (transaction) {
+    stageFile(transaction, filepath, contents);
+  } else {
+    await writeFileAtomic(filepath, contents);
+  }
+}
+
+/**
+ * Read a data file, seeing writes already staged in the transaction
+ */
+async function readDataFile(filepath, transaction = null) {
+  const staged = transaction ? getStagedFile(transaction, filepath) : undefined;
+  if (staged === undefined && transaction?.fromScratch) {
+    throw new Error(`${path.relative(DATA_DIR, filepath)} not written yet in this rebuild`);
+  }
+  return JSON.parse(staged ?? await fs.readFile(filepath, 'utf-8'));
+}
+
+/**
+ * Read a saved highscores page from disk (offline replay)
+ */
+async function loadSavedPage(htmlPath) {
+  console.log(`Replaying saved page ${htmlPath}...`);
+  return await fs.readFile(path.resolve(htmlPath), 'utf-8');
+}
+
+/**
+ * Archive a fetched page as gzipped HTML under data/raw/<date>/<timestamp>.html.gz
+ * Colons in the timestamp are swapped for dashes to keep file names portable.
+ */
+async function archiveRawPage(html, date, now) {
+  const dir = path.join(RAW_DIR, date);
+  const filename = `${now.toISOString().replace(/:/g, '-')}.html.gz`;
+
+  await writeFileAtomic(path.join(dir, filename), await gzip(html));
+  console.log(`Archived raw page: raw/${date}/${filename}`);
+  return path.join(dir, filename);
+}
+
+/**
+ * List archived pages, oldest first, as { date, scrapedAt, filepath }
+ * Pass a date to only list that day's pages.
+ */
+async function listArchivedPages(date = null) {
+  let dates;
+  try {
+    dates = date ? [date] : (await fs.readdir(RAW_DIR)).sort();
+  } catch {
+    return [];
+  }
+
+  const pages = [];
+  for (const day of dates) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(RAW_DIR, day));
+    } catch {
+      continue;
+    }
+
+    for (const file of files.filter(f => f.endsWith('.html.gz')).sort()) {
+      // 2026-08-22T21-00-00.000Z.html.gz -> 2026-08-22T21:00:00.000Z
+      const scrapedAt = file
+        .replace(/\.html\.gz$/, '')
+        .replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3');
+      pages.push({ date: day, scrapedAt, filepath: path.join(RAW_DIR, day, file) });
+    }
   }
-  return await response.text();
+  return pages;
+}
+
+/**
+ * Read an archived page back into HTML
+ */
+async function readArchivedPage(filepath) {
+  return (await gunzip(await fs.readFile(filepath))).toString('utf-8');
 }
 
 /**
@@ -54,7 +212,8 @@ function parseScores(ul) {
       });
     }
   });
-  return scores;
+  // The site lists ties one after the other; give them a shared rank
+  return assignCompetitionRanks(scores);
 }
 
 /**
@@ -85,13 +244,13 @@ async function downloadAvatar(url, filename) {
 
   try {
     console.log(`Downloading avatar: ${url}`);
-    const response = await fetch(url);
+    const response = await fetchWithRetry(url);
     if (!response.ok) {
       console.error(`Failed to download avatar: ${response.status}`);
       return null;
     }
     const buffer = Buffer.from(await response.arrayBuffer());
-    await fs.writeFile(localPath, buffer);
+    await writeFileAtomic(localPath, buffer);
     console.log(`Saved avatar: ${filename}`);
     return filename;
   } catch (error) {
@@ -133,47 +292,90 @@ function parseGameSection($, highscoresDiv, gameConfig) {
   return result;
 }
 
+/**
+ * Work out which game a highscores section belongs to
+ * Returns { gameConfig, identifiedBy } or null if the section can't be identified.
+ * Tries the section's CSS class first, then its heading text, and finally treats a
+ * section with neither an extra class nor a heading as the game that has no
+ * class (Castle Fireworks). A heading that names no registered game means a
+ * game we don't know, so the section is left unidentified.
+ */
+function identifyGameSection(classes, heading, claimedIds) {
+  const unclaimed = GAMES.filter(g => !claimedIds.has(g.id));
+
+  const byClass = unclaimed.find(g => g.cssClass && classes.includes(g.cssClass));
+  if (byClass) return { gameConfig: byClass, identifiedBy: 'cssClass' };
+
+  const byHeading = heading ? unclaimed.find(g => g.headingPattern.test(heading)) : null;
+  if (byHeading) return { gameConfig: byHeading, identifiedBy: 'heading' };
+
+  const byMissingClass = classes.length === 0 && !heading ? unclaimed.find(g => g.cssClass === null) : null;
+  if (byMissingClass) return { gameConfig: byMissingClass, identifiedBy: 'noClass' };
+
+  return null;
+}
+
 /**
  * Parse all games from the HTML
+ * Sections are matched to games by content, never by position, so a reordered or
+ * partial page can't file scores under the wrong game. Sections that can't be
+ * identified are reported and returned separately in unknownSections.
  */
 function parseAllGames(html) {
   const $ = cheerio.load(html);
   const games = {};
+  const unknownSections = [];
+  const claimedIds = new Set();
 
-  // Find all highscores sections
-  const highscoresDivs = $('.highscores');
-
-  highscoresDivs.each((index, div) => {
+  $('.highscores').each((index, div) => {
     const $div = $(div);
-    const gameConfig = GAMES[index];
+    const classes = ($div.attr('class') || '').split(/\s+/).filter(c => c && c !== 'highscores');
+    const heading = $div.find('h1, h2, h3, h4, h5')
+      .filter((i, el) => $(el).closest('.scores-title').length === 0)
+      .first().text().trim() || null;
 
-    if (!gameConfig) {
-      console.warn(`Found more highscores sections than expected games at index ${index}`);
+    const match = identifyGameSection(classes, heading, claimedIds);
+
+    if (!match) {
+      console.warn(
+        `Could not identify highscores section ${index} ` +
+        `(classes: "${classes.join(' ')}", heading: "${heading || ''}"). Keeping it as unknown.`
+      );
+      unknownSections.push({
+        index,
+        cssClasses: classes,
+        heading,
+        ...parseGameSection($, $div, { name: heading })
+      });
       return;
     }
 
-    games[gameConfig.id] = parseGameSection($, $div, gameConfig);
+    const { gameConfig, identifiedBy } = match;
+    claimedIds.add(gameConfig.id);
+    games[gameConfig.id] = {
+      ...parseGameSection($, $div, gameConfig),
+      identifiedBy
+    };
   });
 
-  return games;
+  return { games, unknownSections };
 }
 
 /**
  * Get the current date in Pacific Time
  */
-function getPacificDate() {
-  const now = new Date();
+function getPacificDate(now = new Date()) {
   const pacificNow = toZonedTime(now, PACIFIC_TZ);
   return format(pacificNow, 'yyyy-MM-dd');
 }
 
 /**
- * Save daily snapshot
+ * Build the daily snapshot object for parsed games
  */
-async function saveDailySnapshot(games, date) {
+function buildDailySnapshot(games, date, now = new Date(), unknownSections = []) {
   const snapshot = {
     date: date,
-    scrapedAt: new Date().toISOString(),
+    scrapedAt: now.toISOString(),
     games: {}
   };
 
@@ -181,6 +383,7 @@ async function saveDailySnapshot(games, date) {
   for (const [gameId, gameData] of Object.entries(games)) {
     snapshot.games[gameId] = {
       name: gameData.name,
+      identifiedBy: gameData.identifiedBy,
       today: {
         topAvatar: gameData.today.topAvatar,
         scores: gameData.today.scores
@@ -196,6 +399,39 @@ async function saveDailySnapshot(games, date) {
     };
   }
 
+  // Keep sections we couldn't match to a game so they can be reprocessed later
+  if (unknownSections.length > 0) {
+    snapshot.unknownSections = unknownSections.map(section => ({
+      index: section.index,
+      cssClasses: section.cssClasses,
+      heading: section.heading,
+      today: { topAvatar: section.today.topAvatar, scores: section.today.scores },
+      yesterday: { topAvatar: section.yesterday.topAvatar, scores: section.yesterday.scores },
+      highscores: { topAvatar: section.highscores.topAvatar, scores: section.highscores.scores }
+    }));
+  }
+
+  return snapshot;
+}
+
+/**
+ * Get the calendar dates either side of a yyyy-MM-dd date
+ * Anchored at noon so DST changes can't push the result onto the wrong day.
+ */
+function getPreviousDate(date) {
+  return format(subDays(new Date(`${date}T12:00:00`), 1), 'yyyy-MM-dd');
+}
+
+function getNextDate(date) {
+  return format(addDays(new Date(`${date}T12:00:00`), 1), 'yyyy-MM-dd');
+}
+
+/**
+ * Save daily snapshot
+ */
+async function saveDailySnapshot(games, date, now = new Date(), unknownSections = [], transaction = null) {
+  const snapshot = buildDailySnapshot(games, date, now, unknownSections);
+
   const filename = `${date}.json`;
   const filepath = path.join(DAILY_DIR, filename);
 
@@ -217,21 +453,238 @@ async function saveDailySnapshot(games, date) {
     // No existing file (or unreadable) - safe to write.
   }
 
-  await fs.writeFile(filepath, JSON.stringify(snapshot, null, 2));
+  await writeDataFile(filepath, 'daily-snapshot', snapshot, transaction);
   console.log(`Saved daily snapshot: ${filename}`);
   return snapshot;
 }
 
+/**
+ * Find scores on a day's final board that our last "today" scrape never saw
+ * A score is late if the player wasn't on our last board, or was on it with a lower score.
+ */
+function findLateScores(lastBoard, finalBoard) {
+  const lastScores = new Map(lastBoard.map(s => [s.username, s.score]));
+  return finalBoard
+    .filter(s => !lastScores.has(s.username) || lastScores.get(s.username) < s.score)
+    .map(s => ({
+      username: s.username,
+      score: s.score,
+      lastScrapedScore: lastScores.get(s.username) ?? null
+    }));
+}
+
+/**
+ * Write a day's final boards into its snapshot (in place)
+ * finalGames is the next day's parsed games (or snapshot games), whose "yesterday"
+ * column is the true final board for this day. Marks the snapshot as final and
+ * returns { changed, lateScores } where lateScores is keyed by game ID.
+ */
+function finalizeSnapshot(snapshot, finalGames, sourceDate, now = new Date()) {
+  let changed = false;
+  const lateScores = {};
+
+  for (const [gameId, gameData] of Object.entries(finalGames)) {
+    const finalBoard = gameData.yesterday;
+    // An empty column means the site was mid-rollover, not that nobody played
+    if (!finalBoard?.scores?.length) continue;
+
+    if (!snapshot.games[gameId]) {
+      snapshot.games[gameId] = {
+        name: gameData.name,
+        today: { topAvatar: null, scores: [] },
+        yesterday: { topAvatar: null, scores: [] },
+        highscores: { topAvatar: null, scores: [] }
+      };
+    }
+
+    const game = snapshot.games[gameId];
+    const late = findLateScores(game.today?.scores || [], finalBoard.scores);
+    const final = {
+      topAvatar: finalBoard.topAvatar,
+      scores: finalBoard.scores,
+      lateScores: late
+    };
+
+    if (late.length > 0) lateScores[gameId] = late;
+    if (JSON.stringify(game.final) !== JSON.stringify(final)) {
+      game.final = final;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    snapshot.final = true;
+    snapshot.finalizedFrom = sourceDate;
+    snapshot.finalizedAt = now.toISOString();
+  }
+
+  return { changed, lateScores };
+}
+
+/**
+ * Finalize a day's snapshot on disk from the following day's "yesterday" columns
+ * Only writes when the final boards actually changed, so the 3-hourly scrapes
+ * don't keep rewriting a finished day.
+ */
+async function finalizeDay(date, finalGames, sourceDate, now = new Date(), dryRun = false) {
+  const filepath = path.join(DAILY_DIR, `${date}.json`);
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch {
+    console.log(`No snapshot for ${date} to finalize`);
+    return null;
+  }
+
+  const { changed, lateScores } = finalizeSnapshot(snapshot, finalGames, sourceDate, now);
+  if (!changed) {
+    return snapshot;
+  }
+
+  for (const [gameId, scores] of Object.entries(lateScores)) {
+    for (const late of scores) {
+      const previous = late.lastScrapedScore === null ? 'not on our last board' : `was ${late.lastScrapedScore}`;
+      console.log(`Late score for ${date} ${gameId}: ${late.username} ${late.score} (${previous})`);
+    }
+  }
+
+  if (!dryRun) {
+    await writeDataFile(filepath, 'daily-snapshot', snapshot);
+  }
+  console.log(`${dryRun ? 'Would finalize' : 'Finalized'} ${date} from ${sourceDate}'s yesterday column`);
+  return snapshot;
+}
+
+/**
+ * Rebuild a partial snapshot for a day we never scraped
+ * The next day's "yesterday" column still tells us the day's final board, which is
+ * all we can recover. Returns null if that column was empty for every game.
+ */
+function reconstructSnapshot(date, finalGames, sourceDate, now = new Date()) {
+  const snapshot = {
+    date,
+    scrapedAt: null,
+    reconstructed: true,
+    reconstructedFrom: sourceDate,
+    games: {}
+  };
+
+  const { changed } = finalizeSnapshot(snapshot, finalGames, sourceDate, now);
+  if (!changed) return null;
+
+  // With no scrapes of our own there is nothing to compare against
+  for (const game of Object.values(snapshot.games)) {
+    game.final.lateScores = [];
+  }
+  return snapshot;
+}
+
+/**
+ * Write a reconstructed snapshot for a missing day, never touching a real one
+ */
+async function reconstructDay(date, finalGames, sourceDate, now = new Date(), dryRun = false) {
+  const filepath = path.join(DAILY_DIR, `${date}.json`);
+
+  try {
+    await fs.access(filepath);
+    return null;
+  } catch {
+    // Missing, as expected
+  }
+
+  const snapshot = reconstructSnapshot(date, finalGames, sourceDate, now);
+  if (!snapshot) {
+    console.warn(`Cannot reconstruct ${date}: ${sourceDate}'s yesterday column is empty`);
+    return null;
+  }
+
+  if (!dryRun) {
+    await writeDataFile(filepath, 'daily-snapshot', snapshot);
+  }
+  console.log(`${dryRun ? 'Would reconstruct' : 'Reconstructed'} missing day ${date} from ${sourceDate}'s yesterday column`);
+  return snapshot;
+}
+
+/**
+ * Append this scrape's "today" boards to data/intraday/<date>.json
+ * The daily snapshot only keeps the latest board, this keeps every scrape so the
+ * frontend can show how the day's race developed.
+ */
+async function appendIntradayScrape(games, date, now = new Date()) {
+  const filepath = path.join(INTRADAY_DIR, `${date}.json`);
+  const scrapedAt = now.toISOString();
+
+  let intraday;
+  try {
+    intraday = JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch {
+    intraday = { date, scrapes: [] };
+  }
+
+  const entry = { scrapedAt, games: {} };
+  for (const [gameId, gameData] of Object.entries(games)) {
+    entry.games[gameId] = {
+      topAvatar: gameData.today.topAvatar,
+      scores: gameData.today.scores
+    };
+  }
+
+  // Re-running the same scrape replaces its entry rather than duplicating it
+  intraday.scrapes = intraday.scrapes
+    .filter(s => s.scrapedAt !== scrapedAt)
+    .concat(entry)
+    .sort((a, b) => a.scrapedAt.localeCompare(b.scrapedAt));
+
+  await writeDataFile(filepath, 'intraday', intraday);
+  console.log(`Recorded intra-day scrape for ${date} (${intraday.scrapes.length} so far)`);
+  return intraday;
+}
+
+/**
+ * A board with every username replaced by the player's current name
+ * When two spellings of one player made the board, the better-placed entry is kept.
+ */
+function applyAliasesToBoard(board) {
+  const seen = new Set();
+  const scores = [];
+  for (const entry of board.scores) {
+    const username = canonicalName(entry.username);
+    if (seen.has(username)) continue;
+    seen.add(username);
+    scores.push({ ...entry, username });
+  }
+  return { ...board, scores: scores.length === board.scores.length ? scores : assignCompetitionRanks(scores) };
+}
+
+/**
+ * Parsed or snapshot games with usernames mapped through config/aliases.json
+ */
+function applyAliases(games) {
+  if (!HAS_ALIASES) return games;
+
+  return Object.fromEntries(Object.entries(games).map(([gameId, gameData]) => [
+    gameId,
+    Object.fromEntries(Object.entries(gameData).map(([key, value]) => [
+      key,
+      Array.isArray(value?.scores) ? applyAliasesToBoard(value) : value
+    ]))
+  ]));
+}
+
+// Entries kept on each game's all-time board
+const ALL_TIME_SIZE = 50;
+
 /**
  * Update all-time high scores
+ * Scores that look implausible are held in the review queue instead.
  */
-async function updateAllTimeScores(games, date) {
-  const allTimePath = path.join(DATA_DIR, 'all-time.json');
+async function updateAllTimeScores(games, date, transaction = null) {
+  games = applyAliases(games);
 
   let allTime;
   try {
-    const existing = await fs.readFile(allTimePath, 'utf-8');
-    allTime = JSON.parse(existing);
+    allTime = await readDataFile(ALL_TIME_FILE, transaction);
   } catch {
     // Initialize if doesn't exist
     allTime = {
@@ -240,6 +693,31 @@ async function updateAllTimeScores(games, date) {
     };
   }
 
+  // Previous personal bests, for spotting implausible jumps
+  let users = {};
+  try {
+    ({ users } = await readDataFile(USERS_FILE, transaction));
+  } catch {
+    // No users index yet
+  }
+
+  const reviewQueue = await loadReviewQueue(transaction);
+  const pendingBefore = reviewQueue.pending.length;
+
+  // Whether a score may go on the board, holding implausible ones for review
+  const screen = (gameId, board, newScore) => screenScore(
+    reviewQueue,
+    { gameId, username: newScore.username, score: newScore.score, date },
+    {
+      board,
+      boardSize: ALL_TIME_SIZE,
+      personalBest: users[newScore.username]?.games[gameId]?.bestScore ?? null
+    }
+  );
+
+  const events = [];
+  const avatarOf = (username) => users[username]?.avatar ?? null;
+
   // Update with new high scores
   for (const [gameId, gameData] of Object.entries(games)) {
     if (!allTime.games[gameId]) {
@@ -247,32 +725,35 @@ async function updateAllTimeScores(games, date) {
       allTime.games[gameId] = {
         name: gameData.name,
         topAvatar: gameData.highscores.topAvatar,
-        scores: gameData.highscores.scores.map(s => ({
-          ...s,
-          achievedOn: date
-        }))
+        scores: assignCompetitionRanks(gameData.highscores.scores
+          .filter(s => screen(gameId, [], s))
+          .map(s => ({
+            ...s,
+            achievedOn: date
+          })))
       };
       continue;
     }
 
     const existing = allTime.games[gameId];
-    const existingScoreMap = new Map(existing.scores.map(s => [s.username, s]));
-
-    // Merge in new scores from the source's highscores column
-    for (const newScore of gameData.highscores.scores) {
-      const existingScore = existingScoreMap.get(newScore.username);
-      if (!existingScore || newScore.score > existingScore.score) {
-        existingScoreMap.set(newScore.username, {
-          ...newScore,
-          achievedOn: date
-        });
+    const before = existing.scores.map(s => ({ ...s, username: canonicalName(s.username) }));
+
+    // Records kept under a former name are merged into the player's current one
+    const existingScoreMap = new Map();
+    for (const s of existing.scores) {
+      const username = canonicalName(s.username);
+      const kept = existingScoreMap.get(username);
+      if (!kept || isBetterScore(gameId, s.score, kept.score)) {
+        existingScoreMap.set(username, { ...s, username });
       }
     }
 
-    // Also check today's scores for new records
-    for (const newScore of gameData.today.scores) {
+    // Merge in new scores from the source's highscores column, then check
+    // today's scores for new records
+    for (const newScore of [...gameData.highscores.scores, ...gameData.today.scores]) {
       const existingScore = existingScoreMap.get(newScore.username);
-      if (!existingScore || newScore.score > existingScore.score) {
+      if (!existingScore || isBetterScore(gameId, newScore.score, existingScore.score)) {
+        if (!screen(gameId, existing.scores, newScore)) continue;
         existingScoreMap.set(newScore.username, {
           ...newScore,
           achievedOn: date
@@ -280,13 +761,13 @@ async function updateAllTimeScores(games, date) {
       }
     }
 
-    // Sort by score descending and take top entries
+    // Sort best first and take top entries
     const sortedScores = Array.from(existingScoreMap.values())
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 50); // Keep top 50 all-time
+      .sort(compareScores(gameId))
+      .slice(0, ALL_TIME_SIZE);
 
-    // Re-rank
-    sortedScores.forEach((s, i) => s.rank = i + 1);
+    // Re-rank, with ties sharing a rank
+    assignCompetitionRanks(sortedScores);
 
     existing.scores = sortedScores;
 
@@ -316,14 +797,103 @@ async function updateAllTimeScores(games, date) {
         existing.topAvatar = avatarFound;
       }
     }
+
+    events.push(...allTimeBoardEvents(gameId, before, sortedScores, date, (username) =>
+      (username === topPlayer.username && existing.topAvatar) || avatarOf(username)));
   }
 
   allTime.lastUpdated = date;
-  await fs.writeFile(allTimePath, JSON.stringify(allTime, null, 2));
+  await writeDataFile(ALL_TIME_FILE, 'all-time', allTime, transaction);
   console.log('Updated all-time.json');
+  await appendEvents(events, transaction);
+
+  if (reviewQueue.pending.length > pendingBefore) {
+    reviewQueue.lastUpdated = date;
+    await writeDataFile(REVIEW_QUEUE_FILE, 'review-queue', reviewQueue, transaction);
+    console.log(`Held ${reviewQueue.pending.length - pendingBefore} score(s) for review in review-queue.json`);
+  }
   return allTime;
 }
 
+/**
+ * Load the review queue, or an empty one
+ * Unlike the other files a rebuild regenerates, the queue is read from disk
+ * when it hasn't been staged yet: it holds review decisions, which a rebuild
+ * must replay rather than start over.
+ */
+async function loadReviewQueue(transaction = null) {
+  try {
+    const staged = transaction ? getStagedFile(transaction, REVIEW_QUEUE_FILE) : undefined;
+    return JSON.parse(staged ?? await fs.readFile(REVIEW_QUEUE_FILE, 'utf-8'));
+  } catch {
+    return emptyReviewQueue();
+  }
+}
+
+/**
+ * Put approved scores on the all-time board and into the players' bests in
+ * users.json, logging the events the scrape that held them would have
+ * Each entry is { gameId, username, score, date } and replaces the player's
+ * entry only if it beats it.
+ */
+async function addApprovedScores(entries, transaction = null) {
+  const allTime = await readDataFile(ALL_TIME_FILE, transaction);
+  const usersData = await readDataFile(USERS_FILE, transaction);
+  const users = usersData.users;
+  const avatarOf = (username) => users[username]?.avatar ?? null;
+  const events = [];
+
+  for (const gameId of new Set(entries.map(e => e.gameId))) {
+    const board = allTime.games[gameId];
+    if (!board) continue;
+
+    const before = board.scores;
+    const gameEntries = entries.filter(e => e.gameId === gameId);
+    const scoreMap = new Map(board.scores.map(s => [s.username, s]));
+    for (const { username, score, date } of gameEntries) {
+      const existingScore = scoreMap.get(username);
+      if (!existingScore || isBetterScore(gameId, score, existingScore.score)) {
+        scoreMap.set(username, { rank: null, username, score, achievedOn: date });
+      }
+    }
+
+    board.scores = assignCompetitionRanks(Array.from(scoreMap.values())
+      .sort(compareScores(gameId))
+      .slice(0, ALL_TIME_SIZE));
+
+    for (const date of new Set(gameEntries.map(e => e.date))) {
+      events.push(...allTimeBoardEvents(gameId, before, board.scores, date, avatarOf));
+    }
+  }
+
+  // Which column and rank the score was seen at isn't kept in the queue
+  for (const { gameId, username, score, date } of entries) {
+    if (!users[username]) {
+      users[username] = { avatar: null, lastSeen: null, lastAppearance: null, games: {} };
+    }
+    const stats = users[username].games[gameId];
+    if (stats?.date && !isBetterScore(gameId, score, stats.bestScore)) continue;
+
+    if (stats?.date) {
+      events.push(makeEvent({ type: 'personal-best', date, gameId, username, score, avatar: avatarOf(username), previous: { score: stats.bestScore } }));
+    }
+    users[username].games[gameId] = {
+      bestScore: score,
+      date,
+      rank: null,
+      personalBests: mergePersonalBests(gameId, stats, { personalBests: [{ date, score, period: null, rank: null }] })
+    };
+  }
+
+  assignAllTimeRanks(users, allTime);
+  usersData.userCount = Object.keys(users).length;
+
+  await writeDataFile(ALL_TIME_FILE, 'all-time', allTime, transaction);
+  await writeDataFile(USERS_FILE, 'users', usersData, transaction);
+  await appendEvents(events, transaction);
+  return { allTime, usersData };
+}
+
 /**
  * Download all top player avatars
  */
@@ -348,11 +918,12 @@ async function downloadAllAvatars(games) {
  * Update the persistent users index
  * This stores all users ever seen with their best scores and avatars
  */
-async function updateUsersIndex(games, date) {
+async function updateUsersIndex(games, date, transaction = null) {
+  games = applyAliases(games);
+
   let usersData;
   try {
-    const existing = await fs.readFile(USERS_FILE, 'utf-8');
-    usersData = JSON.parse(existing);
+    usersData = await readDataFile(USERS_FILE, transaction);
   } catch {
     // Initialize if doesn't exist
     usersData = {
@@ -362,7 +933,17 @@ async function updateUsersIndex(games, date) {
   }
 
   const users = usersData.users;
-  const GAME_IDS = GAMES.map(g => g.id);
+  mergeAliasedUsers(users);
+
+  // Scores held for review stay out until approved, so one can't become the
+  // best that the next implausible jump is measured against
+  const reviewQueue = await loadReviewQueue(transaction);
+
+  // One event per player and game for the best they reached this scrape,
+  // against their best from before it
+  const bestsBefore = new Map();
+  const personalBestEvents = new Map();
+  const events = [];
 
   // Process each game's scores
   for (const gameConfig of GAMES) {
@@ -383,6 +964,8 @@ async function updateUsersIndex(games, date) {
         const score = entry.score;
         const rank = entry.rank || idx + 1;
 
+        if (isHeldForReview(reviewQueue, { gameId, username, score })) return;
+
         // Initialize user if not exists
         if (!users[username]) {
           users[username] = {
@@ -395,8 +978,9 @@ async function updateUsersIndex(games, date) {
 
         const user = users[username];
 
-        // Update avatar if this user is #1 and we have an avatar
-        if (rank === 1 && topAvatar) {
+        // Update avatar if this user is #1 and we have an avatar. With a tie
+        // for #1 the avatar is only shown for the first one listed.
+        if (idx === 0 && topAvatar) {
           user.avatar = topAvatar;
         }
 
@@ -411,67 +995,840 @@ async function updateUsersIndex(games, date) {
 
         // Initialize game stats if not exists
         if (!user.games[gameId]) {
-          user.games[gameId] = { bestScore: 0, date: null, rank: null };
+          user.games[gameId] = { bestScore: 0, date: null, rank: null, personalBests: [] };
+        }
+
+        // Update best score if this is better (the first score counts, whatever the direction)
+        const best = user.games[gameId];
+        const key = `${username}|${gameId}`;
+        if (!bestsBefore.has(key)) {
+          bestsBefore.set(key, best.date === null ? null : best.bestScore);
+        }
+        if (best.date === null || isBetterScore(gameId, score, best.bestScore)) {
+          // A first sighting isn't an improvement on anything
+          if (bestsBefore.get(key) !== null) {
+            const previous = { score: bestsBefore.get(key) };
+            personalBestEvents.set(key, { type: 'personal-best', date, gameId, username, score, rank, period, previous });
+          }
+
+          recordPersonalBest(best, { date, score, period, rank });
+          best.bestScore = score;
+          best.date = date;
+          best.rank = rank;
         }
 
-        // Update best score if this is better
-        if (score > user.games[gameId].bestScore) {
-          user.games[gameId].bestScore = score;
-          user.games[gameId].date = date;
-          user.games[gameId].rank = rank;
+        // The yesterday column is the previous day's final board
+        if (period === 'yesterday' && rank === 1) {
+          events.push({
+            type: 'daily-winner',
+            date: getPreviousDate(date),
+            gameId,
+            username,
+            score,
+            avatar: (idx === 0 && topAvatar) || user.avatar,
+            rank
+          });
         }
       });
     }
   }
 
+  for (const event of personalBestEvents.values()) {
+    events.push({ ...event, avatar: users[event.username].avatar });
+  }
+
   // Update all-time rankings from all-time.json
   try {
-    const allTimeData = await fs.readFile(path.join(DATA_DIR, 'all-time.json'), 'utf-8');
-    const allTime = JSON.parse(allTimeData);
-
-    for (const gameId of GAME_IDS) {
-      const scores = allTime.games?.[gameId]?.scores || [];
-      scores.forEach((entry, idx) => {
-        const username = entry.username;
-        const rank = idx + 1;
-
-        if (users[username] && users[username].games[gameId]) {
-          users[username].games[gameId].allTimeRank = rank;
-        }
-      });
-    }
+    // Read through the transaction so we rank against the all-time board being written
+    assignAllTimeRanks(users, await readDataFile(ALL_TIME_FILE, transaction));
   } catch (error) {
     console.warn('Could not update all-time rankings:', error.message);
   }
 
+  for (const [username, user] of Object.entries(users)) {
+    const names = formerNames(username);
+    if (names.length > 0) {
+      user.formerNames = names;
+    } else {
+      delete user.formerNames;
+    }
+  }
+
+  // Names that can't be told apart on screen: one player to merge through
+  // config/aliases.json, or someone imitating another player
+  const lookAlikes = findConfusableGroups(Object.keys(users));
+  if (lookAlikes.length > 0) {
+    usersData.lookAlikes = lookAlikes;
+  } else {
+    delete usersData.lookAlikes;
+  }
+
   usersData.lastUpdated = date;
   usersData.userCount = Object.keys(users).length;
 
-  await fs.writeFile(USERS_FILE, JSON.stringify(usersData, null, 2));
+  await writeDataFile(USERS_FILE, 'users', usersData, transaction);
   console.log(`Updated users.json with ${usersData.userCount} users`);
+  await appendEvents(events.map(makeEvent), transaction);
   return usersData;
 }
 
+/**
+ * Set each player's allTimeRank from their place on the all-time boards
+ */
+function assignAllTimeRanks(users, allTime) {
+  for (const gameId of GAME_IDS) {
+    const scores = allTime.games?.[gameId]?.scores || [];
+    scores.forEach((entry, idx) => {
+      const username = entry.username;
+      const rank = entry.rank || idx + 1;
+
+      if (users[username] && users[username].games[gameId]) {
+        users[username].games[gameId].allTimeRank = rank;
+      }
+    });
+  }
+}
+
+/**
+ * Add events to the month files under data/events/, skipping any already logged
+ */
+async function appendEvents(events, transaction = null) {
+  const byMonth = new Map();
+  for (const event of events) {
+    const month = event.date.slice(0, 7);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(event);
+  }
+
+  let added = 0;
+  for (const [month, monthEvents] of byMonth) {
+    const filepath = path.join(EVENTS_DIR, `${month}.json`);
+    let log;
+    try {
+      log = await readDataFile(filepath, transaction);
+    } catch {
+      log = { month, events: [] };
+    }
+
+    const logged = new Set(log.events.map(e => e.id));
+    const newEvents = monthEvents.filter(e => !logged.has(e.id) && logged.add(e.id));
+    if (newEvents.length === 0) continue;
+
+    // Oldest first; a late daily winner is filed under its own day
+    log.events = [...log.events, ...newEvents].sort((a, b) => a.date.localeCompare(b.date));
+    await writeDataFile(filepath, 'events', log, transaction);
+    added += newEvents.length;
+  }
+
+  if (added > 0) {
+    console.log(`Logged ${added} event(s)`);
+  }
+}
+
+/**
+ * Write the Atom (feed.xml) and JSON Feed (feed.json) versions of the latest
+ * records, top 10 entries and daily winners in data/events/
+ */
+async function updateFeeds() {
+  let months = [];
+  try {
+    months = (await fs.readdir(EVENTS_DIR)).filter(f => f.endsWith('.json')).sort().reverse();
+  } catch {
+    // No events logged yet
+  }
+
+  // Newest months first, until there's enough for a full feed
+  let events = [];
+  for (const month of months) {
+    const log = await readDataFile(path.join(EVENTS_DIR, month));
+    events = [...log.events, ...events];
+    if (selectFeedEvents(events).length >= FEED_SIZE) break;
+  }
+
+  const feedEvents = selectFeedEvents(events);
+  await writeDataFile(JSON_FEED_FILE, 'json-feed', buildJsonFeed(feedEvents, SITE_URL));
+  await writeFileAtomic(ATOM_FEED_FILE, buildAtomFeed(feedEvents, SITE_URL));
+  console.log(`Updated feed.xml and feed.json with ${feedEvents.length} entry(s)`);
+}
+
+/**
+ * Write share images under data/share/: each game's final top 10 for the day
+ * before date (daily/<gameId>.svg and .png) and a card for each all-time
+ * record set since then (records/<event id>.svg and .png)
+ * Only cards whose SVG changed are rendered again.
+ */
+async function updateShareCards(date, usersData) {
+  const previousDate = getPreviousDate(date);
+  const avatarOf = (avatar) => (avatar ? avatarDataUri(path.join(AVATARS_DIR, avatar)) : null);
+  const cards = [];
+
+  const [snapshot] = await loadDailySnapshots(previousDate, previousDate);
+  for (const game of GAMES) {
+    const board = getDayBoard(snapshot?.games?.[game.id]);
+    if (board.scores.length === 0) continue;
+
+    cards.push({
+      file: path.join('daily', game.id),
+      svg: boardCardSvg({
+        gameName: game.name,
+        color: game.color,
+        title: 'Daily top 10',
+        subtitle: format(new Date(`${previousDate}T12:00:00`), 'MMMM d, yyyy'),
+        scores: board.scores,
+        avatar: await avatarOf(board.topAvatar || usersData.users[board.scores[0].username]?.avatar)
+      })
+    });
+  }
+
+  for (const month of new Set([previousDate.slice(0, 7), date.slice(0, 7)])) {
+    let log;
+    try {
+      log = await readDataFile(path.join(EVENTS_DIR, `${month}.json`));
+    } catch {
+      continue;
+    }
+    for (const event of log.events) {
+      if (event.type !== 'all-time-record' || event.date < previousDate) continue;
+      const game = GAMES.find(g => g.id === event.gameId);
+      cards.push({
+        file: path.join('records', event.id),
+        svg: recordCardSvg({
+          gameName: game?.name || event.gameId,
+          color: game?.color || '#ffd700',
+          username: event.username,
+          score: event.score,
+          previous: event.previous,
+          date: format(new Date(`${event.date}T12:00:00`), 'MMMM d, yyyy'),
+          avatar: await avatarOf(event.avatar)
+        })
+      });
+    }
+  }
+
+  let rendered = 0;
+  for (const { file, svg } of cards) {
+    const svgPath = path.join(SHARE_DIR, `${file}.svg`);
+    let existing = null;
+    try {
+      existing = await fs.readFile(svgPath, 'utf-8');
+    } catch {
+      // New card
+    }
+    if (existing === svg) continue;
+
+    await writeFileAtomic(svgPath, svg);
+    await writeFileAtomic(path.join(SHARE_DIR, `${file}.png`), renderPng(svg));
+    rendered++;
+  }
+
+  if (rendered > 0) {
+    console.log(`Rendered ${rendered} share card(s) in share/`);
+  }
+}
+
+/**
+ * Post notifications for date's events (and the previous day's, where daily
+ * winners land) to the configured webhooks, each only once
+ * A webhook that fails is warned about and retried on the next run. With
+ * dryRun the messages are printed instead, and nothing is recorded as sent.
+ */
+async function notifyWebhooks(date, { dryRun = false } = {}) {
+  const webhooks = configuredWebhooks();
+  if (webhooks.length === 0) return;
+
+  const since = getPreviousDate(date);
+  const events = [];
+  for (const month of new Set([since.slice(0, 7), date.slice(0, 7)])) {
+    try {
+      events.push(...(await readDataFile(path.join(EVENTS_DIR, `${month}.json`))).events);
+    } catch {
+      // No events that month
+    }
+  }
+
+  let doubleCreditDates = [];
+  try {
+    ({ dates: doubleCreditDates } = await readDataFile(DOUBLE_CREDIT_FILE));
+  } catch {
+    // No double credit days announced
+  }
+  const pending = pendingNotifications(events, { since, date, doubleCreditDates });
+
+  let state;
+  try {
+    state = await readDataFile(NOTIFICATIONS_FILE);
+  } catch {
+    state = { sent: {} };
+  }
+
+  let changed = false;
+  for (const webhook of webhooks) {
+    const sent = state.sent[webhook.name] || {};
+
+    // Anything older can't come up again
+    for (const [id, sentDate] of Object.entries(sent)) {
+      if (sentDate < since) {
+        delete sent[id];
+        changed = true;
+      }
+    }
+
+    const unsent = pending.filter(n => webhook.events.includes(n.type) && !Object.hasOwn(sent, n.id));
+    let sentCount = 0;
+    for (const { notifications, payload } of buildMessages(unsent, SITE_URL)) {
+      if (dryRun) {
+        console.log(`Would send to ${webhook.name}:\n${JSON.stringify(payload, null, 2)}`);
+        continue;
+      }
+      try {
+        await postWebhook(webhook.url, payload);
+      } catch (error) {
+        console.warn(`Notifying ${webhook.name} failed, will retry next run: ${error.message}`);
+        break;
+      }
+      for (const notification of notifications) {
+        sent[notification.id] = notification.date;
+      }
+      sentCount += notifications.length;
+      changed = true;
+    }
+
+    state.sent[webhook.name] = sent;
+    if (sentCount > 0) {
+      console.log(`Sent ${sentCount} notification(s) to ${webhook.name}`);
+    }
+  }
+
+  if (changed && !dryRun) {
+    await writeDataFile(NOTIFICATIONS_FILE, 'notifications', state);
+  }
+}
+
+/**
+ * Fold users.json entries recorded under a former name into the player's
+ * current one: the more recent sighting and the better score in each game win
+ */
+function mergeAliasedUsers(users) {
+  for (const [formerName, former] of Object.entries(users)) {
+    const username = canonicalName(formerName);
+    if (username === formerName) continue;
+
+    delete users[formerName];
+    if (!users[username]) {
+      users[username] = { avatar: null, lastSeen: null, lastAppearance: null, games: {} };
+    }
+    const user = users[username];
+
+    if ((former.lastSeen || '') > (user.lastSeen || '')) {
+      user.lastSeen = former.lastSeen;
+      user.lastAppearance = former.lastAppearance;
+      user.avatar = former.avatar || user.avatar;
+    } else if (!user.avatar) {
+      user.avatar = former.avatar;
+    }
+
+    for (const [gameId, stats] of Object.entries(former.games)) {
+      const current = user.games[gameId];
+      const personalBests = mergePersonalBests(gameId, current, stats);
+      if (!current || current.date === null || (stats.date !== null && isBetterScore(gameId, stats.bestScore, current.bestScore))) {
+        // The all-time rank is worked out again from the merged board
+        const { allTimeRank, ...merged } = stats;
+        user.games[gameId] = merged;
+      }
+      if (personalBests) {
+        user.games[gameId].personalBests = personalBests;
+      }
+    }
+  }
+}
+
+/**
+ * Add a new personal best to a player's progression in a game, before the
+ * stats' bestScore is overwritten with it
+ * Stats from before progressions were kept start from their best so far, with
+ * no known period. A day keeps only its best PB, whichever column it came from.
+ */
+function recordPersonalBest(stats, personalBest) {
+  stats.personalBests = progressionOf(stats);
+
+  if (stats.personalBests.at(-1)?.date === personalBest.date) {
+    stats.personalBests.pop();
+  }
+  stats.personalBests.push(personalBest);
+}
+
+/**
+ * A game's PB progression, or for stats from before they were kept, the best so far
+ */
+function progressionOf(stats) {
+  if (stats.personalBests) return stats.personalBests;
+  return stats.date === null ? [] : [{ date: stats.date, score: stats.bestScore, period: null, rank: stats.rank }];
+}
+
+/**
+ * Interleave two game stats' PB progressions into the one a merged player
+ * would have had, or null when neither kept one
+ */
+function mergePersonalBests(gameId, a, b) {
+  if (!a?.personalBests && !b.personalBests) return null;
+
+  const merged = [];
+  const byDate = [...(a ? progressionOf(a) : []), ...progressionOf(b)].sort((x, y) => x.date.localeCompare(y.date));
+  for (const personalBest of byDate) {
+    const last = merged.at(-1);
+    if (last && !isBetterScore(gameId, personalBest.score, last.score)) continue;
+    if (last?.date === personalBest.date) merged.pop();
+    merged.push(personalBest);
+  }
+  return merged;
+}
+
+/**
+ * File name for a player's detail file under data/players/
+ * Readable part plus a hash of the exact username, so names that differ only
+ * by case or punctuation ("Sar." vs "sar") never share a file.
+ */
+function playerSlug(username) {
+  const readable = username.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'player';
+  const hash = crypto.createHash('sha1').update(username).digest('hex').slice(0, 8);
+  return `${readable.slice(0, 40)}-${hash}`;
+}
+
+/**
+ * Snapshot games with the scores held for review taken off each board
+ */
+function withoutHeldScores(games, reviewQueue) {
+  if (reviewQueue.pending.length === 0 && reviewQueue.decisions.length === 0) return games;
+
+  return Object.fromEntries(Object.entries(games).map(([gameId, gameData]) => [
+    gameId,
+    Object.fromEntries(Object.entries(gameData).map(([key, board]) => {
+      if (!Array.isArray(board?.scores)) return [key, board];
+      const scores = board.scores.filter(entry => !isHeldForReview(reviewQueue, { gameId, ...entry }));
+      if (scores.length === board.scores.length) return [key, board];
+      return [key, {
+        ...board,
+        // The avatar shown is the #1's, so it goes with a held #1
+        topAvatar: scores[0] === board.scores[0] ? board.topAvatar : null,
+        scores: assignCompetitionRanks(scores.map(entry => ({ ...entry })))
+      }];
+    }))
+  ]));
+}
+
+/**
+ * Read the daily snapshots between two dates (inclusive, either may be null), oldest first
+ * Usernames come back mapped through the alias map, so a renamed player's
+ * history and period bests are combined. A game with no final board (days
+ * from before snapshots were finalized) gets the next day's "yesterday"
+ * column as one, in memory only. Scores held for review are left off every
+ * board until approved, as they are in all-time.json and users.json.
+ */
+async function loadDailySnapshots(fromDate = null, toDate = null) {
+  const allDates = (await fs.readdir(DAILY_DIR))
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.replace('.json', ''))
+    .sort();
+  const dates = allDates.filter(date => (!fromDate || date >= fromDate) && (!toDate || date <= toDate));
+  const readSnapshot = async (date) => JSON.parse(await fs.readFile(path.join(DAILY_DIR, `${date}.json`), 'utf-8'));
+
+  const snapshots = [];
+  for (const date of dates) {
+    snapshots.push(await readSnapshot(date));
+  }
+
+  // The last day's final boards may be in the day after the range
+  const dayAfter = dates.length > 0 ? getNextDate(dates.at(-1)) : null;
+  if (dayAfter && allDates.includes(dayAfter)) {
+    snapshots.push(await readSnapshot(dayAfter));
+  }
+
+  const reviewQueue = await loadReviewQueue();
+  const result = [];
+  for (const [i, snapshot] of snapshots.slice(0, dates.length).entries()) {
+    const next = snapshots[i + 1];
+    const games = { ...snapshot.games };
+    if (next?.date === getNextDate(snapshot.date)) {
+      for (const [gameId, gameData] of Object.entries(next.games || {})) {
+        if (games[gameId]?.final || !gameData.yesterday?.scores?.length) continue;
+        games[gameId] = {
+          name: gameData.name,
+          today: { topAvatar: null, scores: [] },
+          ...games[gameId],
+          final: { topAvatar: gameData.yesterday.topAvatar, scores: gameData.yesterday.scores }
+        };
+      }
+    }
+    result.push({ ...snapshot, games: withoutHeldScores(applyAliases(games), reviewQueue) });
+  }
+  return result;
+}
+
+/**
+ * The board a game ended a day with: its final board when we have one,
+ * otherwise the latest "today" we scraped
+ */
+function getDayBoard(gameData) {
+  return gameData?.final || gameData?.today || { topAvatar: null, scores: [] };
+}
+
+/**
+ * Collect every player's score and rank on each day's board from the daily snapshots
+ * Returns Map username -> { gameId: [{ date, score, rank }] } sorted by date.
+ */
+async function buildPlayerHistories() {
+  const histories = new Map();
+
+  for (const snapshot of await loadDailySnapshots()) {
+    for (const [gameId, gameData] of Object.entries(snapshot.games || {})) {
+      getDayBoard(gameData).scores.forEach((entry, idx) => {
+        if (!histories.has(entry.username)) histories.set(entry.username, {});
+        const history = histories.get(entry.username);
+        if (!history[gameId]) history[gameId] = [];
+        history[gameId].push({ date: snapshot.date, score: entry.score, rank: entry.rank || idx + 1 });
+      });
+    }
+  }
+
+  return histories;
+}
+
+/**
+ * Write the player search index, one detail file per player and the static
+ * profile page built from it
+ * The frontend loads the small name-only index up front and a player's file
+ * only when their card is opened. Only files whose contents changed are
+ * rewritten, and files for players no longer in users.json are removed.
+ */
+async function updatePlayerFiles(usersData) {
+  await fs.mkdir(PLAYERS_DIR, { recursive: true });
+  await fs.mkdir(PROFILES_DIR, { recursive: true });
+  const histories = await buildPlayerHistories();
+
+  const index = {
+    lastUpdated: usersData.lastUpdated,
+    playerCount: 0,
+    players: {}
+  };
+  const expectedFiles = new Set();
+  let written = 0;
+
+  for (const username of Object.keys(usersData.users).sort()) {
+    const slug = playerSlug(username);
+    const player = {
+      username,
+      slug,
+      profile: usersData.users[username],
+      history: histories.get(username) || {}
+    };
+
+    const filepath = path.join(PLAYERS_DIR, `${slug}.json`);
+    expectedFiles.add(`${slug}.json`);
+    index.players[username] = slug;
+
+    let existing = null;
+    try {
+      existing = await fs.readFile(filepath, 'utf-8');
+    } catch {
+      // New player
+    }
+    if (existing !== JSON.stringify(player, null, 2)) {
+      await writeDataFile(filepath, 'player', player);
+      written++;
+    }
+
+    const pagePath = path.join(PROFILES_DIR, `${slug}.html`);
+    const page = renderProfilePage(player, SITE_URL);
+    let existingPage = null;
+    try {
+      existingPage = await fs.readFile(pagePath, 'utf-8');
+    } catch {
+      // New player
+    }
+    if (existingPage !== page) {
+      await writeFileAtomic(pagePath, page);
+    }
+  }
+  index.playerCount = Object.keys(index.players).length;
+  // Written with the pages above, so the frontend knows it can link them
+  index.profilePages = true;
+
+  // Former names let the search find a player by any name they went by
+  const aliases = Object.entries(ALIASES).filter(([, username]) => index.players[username]);
+  if (aliases.length > 0) {
+    index.aliases = Object.fromEntries(aliases);
+  }
+
+  // Names that can't be told apart on screen, so the search can warn about them
+  if (usersData.lookAlikes) {
+    index.lookAlikes = usersData.lookAlikes;
+  }
+
+  let removed = 0;
+  for (const file of await fs.readdir(PLAYERS_DIR)) {
+    if (file.endsWith('.json') && !expectedFiles.has(file)) {
+      await fs.rm(path.join(PLAYERS_DIR, file));
+      removed++;
+    }
+  }
+  for (const file of await fs.readdir(PROFILES_DIR)) {
+    if (file.endsWith('.html') && !expectedFiles.has(file.replace(/\.html$/, '.json'))) {
+      await fs.rm(path.join(PROFILES_DIR, file));
+    }
+  }
+
+  await writeDataFile(PLAYER_INDEX_FILE, 'player-index', index);
+  console.log(`Updated player files: ${written} written, ${removed} removed, ${index.playerCount} in index`);
+  return index;
+}
+
+// Entries kept on each precomputed leaderboard
+const AGGREGATE_SIZE = 10;
+// How far back to look for the all-time #1's avatar
+const AVATAR_LOOKBACK_DAYS = 30;
+
+/**
+ * Find the avatar of a game's #1 player
+ * Avatars are only published for whoever is #1 on a board, so look for a board
+ * they topped, newest first, and fall back to the avatar in users.json.
+ */
+function resolveTopAvatar(snapshots, gameId, username, usersData, columns) {
+  for (const snapshot of [...snapshots].reverse()) {
+    const gameData = snapshot.games?.[gameId];
+    for (const column of columns) {
+      if (gameData?.[column]?.scores?.[0]?.username === username && gameData[column].topAvatar) {
+        return gameData[column].topAvatar;
+      }
+    }
+  }
+  return usersData.users[username]?.avatar || null;
+}
+
+/**
+ * Best score per player across each day's board, best first; the top size
+ * entries are kept
+ */
+function aggregateBoards(snapshots, gameId, usersData, size = AGGREGATE_SIZE) {
+  const best = new Map();
+
+  for (const snapshot of snapshots) {
+    for (const entry of getDayBoard(snapshot.games?.[gameId]).scores) {
+      const existing = best.get(entry.username);
+      if (!existing || isBetterScore(gameId, entry.score, existing.score)) {
+        best.set(entry.username, { username: entry.username, score: entry.score, achievedOn: snapshot.date });
+      }
+    }
+  }
+
+  const scores = Array.from(best.values())
+    .sort(compareScores(gameId))
+    .slice(0, size)
+    .map(entry => ({ rank: null, ...entry }));
+  assignCompetitionRanks(scores);
+
+  const topAvatar = scores[0]
+    ? resolveTopAvatar(snapshots, gameId, scores[0].username, usersData, ['final', 'today', 'yesterday', 'highscores'])
+    : null;
+
+  return { topAvatar, scores };
+}
+
+/**
+ * First day of the week, month and year boards ending on date:
+ *   week     the 7 days ending on date
+ *   month    the calendar month of date, up to date
+ *   year     the calendar year of date, up to date
+ */
+function periodStartDates(date) {
+  return {
+    week: format(subDays(new Date(`${date}T12:00:00`), 6), 'yyyy-MM-dd'),
+    month: `${date.slice(0, 7)}-01`,
+    year: `${date.slice(0, 4)}-01-01`
+  };
+}
+
+/**
+ * Write the precomputed week, month, year and all-time leaderboards
+ * so the frontend reads one file per period instead of dozens of daily files:
+ *   week     the 7 days ending on date
+ *   month    the calendar month of date, up to date
+ *   year     the calendar year of date, up to date
+ *   alltime  the top of all-time.json, with the #1's avatar resolved
+ * Every entry of the week, month and year boards goes under aggregates/full/,
+ * which the site only loads to export a board.
+ */
+async function updateAggregates(date, usersData) {
+  await fs.mkdir(FULL_AGGREGATES_DIR, { recursive: true });
+
+  const periods = periodStartDates(date);
+  const avatarLookbackStart = format(subDays(new Date(`${date}T12:00:00`), AVATAR_LOOKBACK_DAYS - 1), 'yyyy-MM-dd');
+  const snapshots = await loadDailySnapshots(
+    avatarLookbackStart < periods.year ? avatarLookbackStart : periods.year,
+    date
+  );
+
+  for (const [period, startDate] of Object.entries(periods)) {
+    const inPeriod = snapshots.filter(snapshot => snapshot.date >= startDate);
+    const aggregate = { period, startDate, endDate: date, games: {} };
+    const full = { period, startDate, endDate: date, games: {} };
+    for (const gameId of GAME_IDS) {
+      full.games[gameId] = aggregateBoards(inPeriod, gameId, usersData, Infinity);
+      aggregate.games[gameId] = { ...full.games[gameId], scores: full.games[gameId].scores.slice(0, AGGREGATE_SIZE) };
+    }
+    await writeDataFile(path.join(AGGREGATES_DIR, `${period}.json`), 'aggregate', aggregate);
+    await writeDataFile(path.join(FULL_AGGREGATES_DIR, `${period}.json`), 'aggregate', full);
+  }
+
+  // All-time avatars: records live in the highscores column, so check it first
+  const allTime = await readDataFile(ALL_TIME_FILE);
+  const recent = snapshots.filter(snapshot => snapshot.date >= avatarLookbackStart);
+  const aggregate = { period: 'alltime', startDate: null, endDate: date, games: {} };
+  for (const gameId of GAME_IDS) {
+    const gameData = allTime.games?.[gameId];
+    const scores = (gameData?.scores || []).slice(0, AGGREGATE_SIZE);
+    const topAvatar = scores[0]
+      ? resolveTopAvatar(recent, gameId, scores[0].username, usersData, ['highscores', 'final', 'yesterday', 'today']) ||
+        gameData.topAvatar
+      : null;
+    aggregate.games[gameId] = { topAvatar, scores };
+  }
+  await writeDataFile(path.join(AGGREGATES_DIR, 'alltime.json'), 'aggregate', aggregate);
+
+  console.log(`Updated week, month, year and all-time leaderboards for ${date}`);
+}
+
+/**
+ * Write data/manifest.json, the list of what data exists, so the frontend
+ * never has to probe for files that may 404
+ * A day is complete once every game is in its snapshot and the day has been
+ * finalized (or reconstructed) from the next day's data.
+ */
+async function updateManifest(now = new Date()) {
+  const manifest = {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: now.toISOString(),
+    lastScrapedAt: null,
+    latestDate: null,
+    days: {},
+    eventMonths: []
+  };
+
+  for (const snapshot of await loadDailySnapshots()) {
+    const gameCount = Object.keys(snapshot.games || {}).length;
+    const final = Boolean(snapshot.final || snapshot.reconstructed);
+
+    let intradayScrapes = 0;
+    try {
+      const intraday = JSON.parse(await fs.readFile(path.join(INTRADAY_DIR, `${snapshot.date}.json`), 'utf-8'));
+      intradayScrapes = intraday.scrapes.length;
+    } catch {
+      // Days from before intra-day scrapes were kept
+    }
+
+    manifest.days[snapshot.date] = {
+      scrapedAt: snapshot.scrapedAt,
+      gameCount,
+      intradayScrapes,
+      final,
+      reconstructed: Boolean(snapshot.reconstructed),
+      complete: gameCount === GAMES.length && final
+    };
+
+    manifest.latestDate = snapshot.date;
+    if (snapshot.scrapedAt && (!manifest.lastScrapedAt || snapshot.scrapedAt > manifest.lastScrapedAt)) {
+      manifest.lastScrapedAt = snapshot.scrapedAt;
+    }
+  }
+
+  try {
+    manifest.eventMonths = (await fs.readdir(EVENTS_DIR))
+      .filter(f => /^\d{4}-\d{2}\.json$/.test(f))
+      .map(f => f.replace('.json', ''))
+      .sort();
+  } catch {
+    // No events logged yet
+  }
+
+  await writeDataFile(MANIFEST_FILE, 'manifest', manifest);
+  console.log(`Updated manifest.json with ${Object.keys(manifest.days).length} day(s)`);
+  return manifest;
+}
+
+/**
+ * Parse command line options
+ *   --html <file>  Replay a saved highscores page instead of fetching the live site
+ *   --now <iso>    Pretend the scrape is running at this timestamp
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      html: { type: 'string' },
+      now: { type: 'string' }
+    }
+  });
+
+  const now = values.now ? new Date(values.now) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    throw new Error(`Invalid --now value: ${values.now}`);
+  }
+
+  return { html: values.html || null, now };
+}
+
 /**
  * Main scraper function
  */
-async function main() {
+async function main(options = {}) {
+  const now = options.now || new Date();
+
   console.log('=== MyVMK High Scores Scraper ===');
-  console.log(`Started at: ${new Date().toISOString()}`);
+  console.log(`Started at: ${now.toISOString()}`);
 
   try {
     // Ensure directories exist
     await fs.mkdir(DAILY_DIR, { recursive: true });
+    await fs.mkdir(INTRADAY_DIR, { recursive: true });
     await fs.mkdir(AVATARS_DIR, { recursive: true });
 
+    // Undo a previous run that crashed part way through committing its writes
+    const interrupted = await recoverTransaction(DATA_DIR);
+    if (interrupted) {
+      console.warn(`Rolled back an interrupted write from ${interrupted.startedAt}`);
+    }
+
+    // Get Pacific Time date
+    const pacificDate = getPacificDate(now);
+    console.log(`Pacific Time date: ${pacificDate}`);
+
     // Fetch and parse
-    const html = await fetchHighscoresPage();
-    const games = parseAllGames(html);
+    let html;
+    let validators = null;
+    if (options.html) {
+      html = await loadSavedPage(options.html);
+    } else {
+      ({ html, validators } = await fetchHighscoresPage());
+      if (html === null) {
+        console.log('Highscores page not modified since the last scrape. Skipping all writes.');
+        return;
+      }
+    }
+
+    // Keep the raw page so parser fixes can be replayed later (scripts/reprocess.js)
+    if (!options.html) {
+      await archiveRawPage(html, pacificDate, now);
+    }
+
+    const { games, unknownSections } = parseAllGames(html);
 
     // Validate we got all games
     const gameCount = Object.keys(games).length;
     if (gameCount !== GAMES.length) {
-      console.warn(`Warning: Expected ${GAMES.length} games, found ${gameCount}`);
+      const missing = GAMES.filter(g => !games[g.id]).map(g => g.id);
+      console.warn(`Warning: Expected ${GAMES.length} games, found ${gameCount} (missing: ${missing.join(', ')})`);
+    }
+    if (unknownSections.length > 0) {
+      console.warn(`Warning: ${unknownSections.length} unidentified highscores section(s) kept in the snapshot`);
     }
 
     // Guard: an empty parse means a failed/reset page (this happens right at the
@@ -482,21 +1839,56 @@ async function main() {
       return;
     }
 
-    // Get Pacific Time date
-    const pacificDate = getPacificDate();
-    console.log(`Pacific Time date: ${pacificDate}`);
+    // Download avatars (offline replays never touch the network)
+    if (options.html) {
+      console.log('Offline replay - skipping avatar downloads');
+    } else {
+      await downloadAllAvatars(games);
+    }
 
-    // Download avatars
-    await downloadAllAvatars(games);
+    // The snapshot, all-time scores and users index must agree, so they are
+    // written together or not at all
+    const transaction = beginTransaction(DATA_DIR);
 
     // Save daily snapshot
-    await saveDailySnapshot(games, pacificDate);
+    await saveDailySnapshot(games, pacificDate, now, unknownSections, transaction);
 
     // Update all-time scores
-    await updateAllTimeScores(games, pacificDate);
+    await updateAllTimeScores(games, pacificDate, transaction);
 
     // Update persistent users index
-    await updateUsersIndex(games, pacificDate);
+    const usersData = await updateUsersIndex(games, pacificDate, transaction);
+
+    await commitTransaction(transaction);
+    console.log('Committed daily snapshot, all-time.json and users.json');
+
+    // Keep this scrape's "today" board alongside the earlier ones
+    await appendIntradayScrape(games, pacificDate, now);
+
+    // Our "yesterday" column is the final board for the previous day. If the
+    // previous run failed and the day is missing, it's enough to reconstruct it.
+    const previousDate = getPreviousDate(pacificDate);
+    const finalized = await finalizeDay(previousDate, games, pacificDate, now);
+    if (!finalized) {
+      await reconstructDay(previousDate, games, pacificDate, now);
+    }
+
+    // Per-player files and period leaderboards are derived from users.json and
+    // the (now finalized) snapshots
+    await updatePlayerFiles(usersData);
+    await updateAggregates(pacificDate, usersData);
+    await updateFeeds();
+    await updateShareCards(pacificDate, usersData);
+
+    // Last, so the manifest describes everything this run wrote
+    await updateManifest(now);
+
+    // Only now that the page has been fully processed is it safe to skip it next time
+    if (validators) {
+      await saveHttpCache(validators);
+    }
+
+    await notifyWebhooks(pacificDate);
 
     console.log('=== Scrape completed successfully ===');
   } catch (error) {
@@ -505,4 +1897,53 @@ async function main() {
   }
 }
 
-main();
+export {
+  DATA_DIR,
+  DAILY_DIR,
+  ALL_TIME_FILE,
+  USERS_FILE,
+  REVIEW_QUEUE_FILE,
+  EVENTS_DIR,
+  SITE_URL,
+  GAMES,
+  parseScores,
+  parseGameSection,
+  parseAllGames,
+  getPacificDate,
+  getPreviousDate,
+  getNextDate,
+  listArchivedPages,
+  readArchivedPage,
+  writeDataFile,
+  readDataFile,
+  buildDailySnapshot,
+  saveDailySnapshot,
+  appendIntradayScrape,
+  finalizeSnapshot,
+  finalizeDay,
+  reconstructSnapshot,
+  reconstructDay,
+  ALL_TIME_SIZE,
+  updateAllTimeScores,
+  loadReviewQueue,
+  addApprovedScores,
+  updateUsersIndex,
+  assignAllTimeRanks,
+  playerSlug,
+  updatePlayerFiles,
+  loadDailySnapshots,
+  getDayBoard,
+  aggregateBoards,
+  periodStartDates,
+  updateAggregates,
+  updateFeeds,
+  updateShareCards,
+  notifyWebhooks,
+  updateManifest,
+  main
+};
+
+// Only run when invoked directly, so tests can import the parser
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main(parseOptions(process.argv.slice(2)));
+}
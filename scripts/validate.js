@@ -0,0 +1,85 @@
+/**
+ * Validate every file under data/ against the published JSON Schemas
+ * Reports each violation with its file and JSON path, and exits non-zero if
+ * anything is invalid.
+ *
+ * Usage:
+ *   node scripts/validate.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './scraper.js';
+import { SCHEMA_VERSION, validateData } from './lib/schemas.js';
+
+/**
+ * List the data files to check as { kind, filepath }
+ */
+async function listDataFiles() {
+  const files = [
+    { kind: 'all-time', filepath: path.join(DATA_DIR, 'all-time.json') },
+    { kind: 'users', filepath: path.join(DATA_DIR, 'users.json') },
+    { kind: 'double-credit-days', filepath: path.join(DATA_DIR, 'double-credit-days.json') },
+    { kind: 'http-cache', filepath: path.join(DATA_DIR, 'http-cache.json') },
+    { kind: 'player-index', filepath: path.join(DATA_DIR, 'player-index.json') },
+    { kind: 'manifest', filepath: path.join(DATA_DIR, 'manifest.json') },
+    { kind: 'review-queue', filepath: path.join(DATA_DIR, 'review-queue.json') },
+    { kind: 'json-feed', filepath: path.join(DATA_DIR, 'feed.json') },
+    { kind: 'notifications', filepath: path.join(DATA_DIR, 'notifications.json') }
+  ];
+
+  for (const [dir, kind] of [['daily', 'daily-snapshot'], ['intraday', 'intraday'], ['players', 'player'], ['aggregates', 'aggregate'], ['aggregates/full', 'aggregate'], ['events', 'events']]) {
+    let names = [];
+    try {
+      names = await fs.readdir(path.join(DATA_DIR, dir));
+    } catch {
+      // Directory not created yet
+    }
+    for (const name of names.filter(n => n.endsWith('.json')).sort()) {
+      files.push({ kind, filepath: path.join(DATA_DIR, dir, name) });
+    }
+  }
+
+  return files;
+}
+
+async function validateAll() {
+  console.log(`=== Validating data/ against schema v${SCHEMA_VERSION} ===`);
+
+  const files = await listDataFiles();
+  let invalidFiles = 0;
+  let checked = 0;
+
+  for (const { kind, filepath } of files) {
+    const label = path.relative(path.dirname(DATA_DIR), filepath);
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filepath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      console.log(`${label}: ${error.message}`);
+      invalidFiles++;
+      continue;
+    }
+
+    checked++;
+    const violations = validateData(kind, data);
+    if (violations.length > 0) {
+      invalidFiles++;
+      for (const violation of violations) {
+        console.log(`${label}: ${violation}`);
+      }
+    }
+  }
+
+  console.log(`=== ${checked} file(s) checked, ${invalidFiles} invalid ===`);
+  if (invalidFiles > 0) {
+    process.exit(1);
+  }
+}
+
+validateAll().catch(error => {
+  console.error('Validation failed:', error);
+  process.exit(1);
+});
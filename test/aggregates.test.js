@@ -0,0 +1,126 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { FULL_PAGE, runScraper, makeDataDir, removeDataDir } from './helpers.js';
+
+const board = (scores, topAvatar = null) => ({
+  topAvatar,
+  scores: scores.map(([username, score], i) => ({ rank: i + 1, username, score }))
+});
+
+/**
+ * Write a hand-made daily snapshot with scores on the today board
+ * yesterday is the previous day's final board, if the snapshot has one.
+ */
+async function writeSnapshot(dataDir, date, scores, topAvatar = null, yesterday = []) {
+  const games = {
+    pirates: { name: 'Pirates of the Caribbean', today: board(scores, topAvatar), yesterday: board(yesterday), highscores: board([]) }
+  };
+  await fs.writeFile(
+    path.join(dataDir, 'daily', `${date}.json`),
+    JSON.stringify({ date, scrapedAt: `${date}T21:00:00.000Z`, games })
+  );
+}
+
+describe('precomputed leaderboards', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+    await fs.mkdir(path.join(dataDir, 'daily'));
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const readJSON = async (file) => JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf-8'));
+
+  test('covers the rolling week, calendar month and calendar year', async () => {
+    await writeSnapshot(dataDir, '2026-01-05', [['Ariel', 900]]);
+    await writeSnapshot(dataDir, '2026-08-02', [['Belle', 800], ['Ariel', 100]]);
+    await writeSnapshot(dataDir, '2026-08-16', [['Jasmine', 700], ['Belle', 50]]);
+    await writeSnapshot(dataDir, '2026-08-18', [['Mulan', 600], ['Jasmine', 650]], 'aaaa1111.png');
+
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const week = await readJSON('aggregates/week.json');
+    assert.equal(week.startDate, '2026-08-16');
+    assert.equal(week.endDate, '2026-08-22');
+    const weekScores = new Map(week.games.pirates.scores.map(s => [s.username, s]));
+    assert.deepEqual(weekScores.get('Jasmine'), { rank: 1, username: 'Jasmine', score: 700, achievedOn: '2026-08-16' });
+    assert.equal(weekScores.get('Mulan').achievedOn, '2026-08-18');
+    assert.equal(weekScores.has('Ariel'), false);
+
+    const month = await readJSON('aggregates/month.json');
+    assert.equal(month.startDate, '2026-08-01');
+    assert.equal(month.games.pirates.scores[0].username, 'Belle');
+    month.games.pirates.scores.forEach((s, i, scores) => {
+      const expected = i > 0 && s.score === scores[i - 1].score ? scores[i - 1].rank : i + 1;
+      assert.equal(s.rank, expected);
+    });
+
+    const year = await readJSON('aggregates/year.json');
+    assert.equal(year.startDate, '2026-01-01');
+    assert.deepEqual(year.games.pirates.scores[0], { rank: 1, username: 'Ariel', score: 900, achievedOn: '2026-01-05' });
+
+    // Every entry, for exports, starting with the same top 10
+    const fullYear = await readJSON('aggregates/full/year.json');
+    assert.equal(year.games.pirates.scores.length, 10);
+    assert.ok(fullYear.games.pirates.scores.length > 10);
+    assert.deepEqual(fullYear.games.pirates.scores.slice(0, 10), year.games.pirates.scores);
+    assert.equal(fullYear.games.pirates.topAvatar, year.games.pirates.topAvatar);
+  });
+
+  test('ties share a rank and the earlier score is listed first', async () => {
+    await writeSnapshot(dataDir, '2026-08-17', [['Mulan', 99999], ['Belle', 88888]]);
+    await writeSnapshot(dataDir, '2026-08-19', [['Jasmine', 99999], ['Ariel', 88888]]);
+
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const week = await readJSON('aggregates/week.json');
+    assert.deepEqual(week.games.pirates.scores.slice(0, 4).map(s => [s.rank, s.username]), [
+      [1, 'Mulan'], [1, 'Jasmine'], [3, 'Belle'], [3, 'Ariel']
+    ]);
+  });
+
+  test('ends a never-finalized day with the next day\'s yesterday column', async () => {
+    await writeSnapshot(dataDir, '2026-08-17', [['Mulan', 600]]);
+    await writeSnapshot(dataDir, '2026-08-18', [['Belle', 500]], null, [['Jasmine', 900], ['Mulan', 650]]);
+
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const week = await readJSON('aggregates/week.json');
+    const weekScores = new Map(week.games.pirates.scores.map(s => [s.username, s]));
+    assert.deepEqual(weekScores.get('Jasmine'), { rank: 1, username: 'Jasmine', score: 900, achievedOn: '2026-08-17' });
+    assert.equal(weekScores.get('Mulan').score, 650);
+    assert.equal(weekScores.get('Belle').achievedOn, '2026-08-18');
+
+    // Only in memory: the snapshot on disk is left as it was
+    assert.equal((await readJSON('daily/2026-08-17.json')).games.pirates.final, undefined);
+  });
+
+  test('resolves the #1 player\'s avatar from a board they topped', async () => {
+    await writeSnapshot(dataDir, '2026-08-20', [['Mulan', 99999]], 'aaaa1111.png');
+
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const week = await readJSON('aggregates/week.json');
+    assert.deepEqual(week.games.pirates.scores[0], { rank: 1, username: 'Mulan', score: 99999, achievedOn: '2026-08-20' });
+    assert.equal(week.games.pirates.topAvatar, 'aaaa1111.png');
+  });
+
+  test('all-time keeps the top of all-time.json with an avatar', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const allTime = await readJSON('all-time.json');
+    const aggregate = await readJSON('aggregates/alltime.json');
+    assert.equal(aggregate.startDate, null);
+    for (const [gameId, gameData] of Object.entries(aggregate.games)) {
+      assert.deepEqual(gameData.scores, allTime.games[gameId].scores.slice(0, 10));
+      assert.ok(gameData.topAvatar);
+    }
+  });
+});
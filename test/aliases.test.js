@@ -0,0 +1,85 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { FULL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+const REBUILD = scriptPath('rebuild');
+
+describe('username aliases', () => {
+  let dataDir;
+  let aliasesFile;
+  let renamedPage;
+
+  const runAliased = (script, args = []) => runScript(script, dataDir, args, { MYVMK_ALIASES_FILE: aliasesFile });
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+    aliasesFile = path.join(dataDir, 'aliases.json');
+    await fs.writeFile(aliasesFile, JSON.stringify({ aliases: { BRlTT: 'BRITT' } }));
+
+    // Recorded as BRlTT before anyone noticed the lowercase L
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    // Next day they top today's Castle Fireworks board under their real name
+    renamedPage = await writePage(dataDir, 'renamed.html', { '<li>BRlTT - 10604</li>': '<li>BRITT - 10650</li>' });
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const readJSON = async (file) => JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf-8'));
+
+  test('merges a former name into the player\'s records', async () => {
+    await runAliased(SCRAPER, ['--html', renamedPage, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const users = await readJSON('users.json');
+    assert.equal(users.users.BRlTT, undefined);
+    const britt = users.users.BRITT;
+    assert.deepEqual(britt.formerNames, ['BRlTT']);
+    assert.equal(britt.games['castle-fireworks'].bestScore, 11390);
+    assert.equal(britt.lastSeen, '2026-08-23');
+
+    const allTime = await readJSON('all-time.json');
+    for (const { scores } of Object.values(allTime.games)) {
+      assert.equal(scores.some(s => s.username === 'BRlTT'), false);
+    }
+    assert.equal(allTime.games['castle-fireworks'].scores.filter(s => s.username === 'BRITT').length, 1);
+
+    const index = await readJSON('player-index.json');
+    assert.deepEqual(index.aliases, { BRlTT: 'BRITT' });
+    assert.equal(index.players.BRlTT, undefined);
+
+    // History from both names, one entry per day (2026-08-21 is reconstructed
+    // from the first scrape's yesterday column)
+    const player = await readJSON(`players/${index.players.BRITT}.json`);
+    assert.deepEqual(player.history['castle-fireworks'].map(h => [h.date, h.score]), [
+      ['2026-08-21', 10710],
+      ['2026-08-22', 10710],
+      ['2026-08-23', 10650]
+    ]);
+    assert.deepEqual(player.profile.formerNames, ['BRlTT']);
+  });
+
+  test('a rebuild reaches the same merged records', async () => {
+    await runAliased(SCRAPER, ['--html', renamedPage, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const { stdout } = await runAliased(REBUILD, ['--dry-run']);
+    assert.match(stdout, /all-time\.json: unchanged/);
+    assert.match(stdout, /users\.json: unchanged/);
+  });
+
+  test('follows chains of renames and rejects loops', async () => {
+    await fs.writeFile(aliasesFile, JSON.stringify({ aliases: { BRlTT: 'BRITT', BRITT: 'Britt2' } }));
+    await runAliased(SCRAPER, ['--html', renamedPage, '--now', '2026-08-23T21:00:00.000Z']);
+    assert.deepEqual((await readJSON('users.json')).users.Britt2.formerNames, ['BRITT', 'BRlTT']);
+
+    await fs.writeFile(aliasesFile, JSON.stringify({ aliases: { BRlTT: 'BRITT', BRITT: 'BRlTT' } }));
+    await assert.rejects(
+      runAliased(SCRAPER, ['--html', renamedPage, '--now', '2026-08-24T21:00:00.000Z']),
+      /aliases of BRlTT loop back on themselves/
+    );
+  });
+});
@@ -0,0 +1,59 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { FULL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir } from './helpers.js';
+
+const BACKFILL = scriptPath('backfill');
+
+async function readSnapshot(dataDir, date) {
+  return JSON.parse(await fs.readFile(path.join(dataDir, 'daily', `${date}.json`), 'utf-8'));
+}
+
+describe('missing days', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  test('the scraper reconstructs the previous day when it is missing', async () => {
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-20T21:00:00.000Z']);
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const snapshot = await readSnapshot(dataDir, '2026-08-21');
+    assert.equal(snapshot.reconstructed, true);
+    assert.equal(snapshot.reconstructedFrom, '2026-08-22');
+    assert.equal(snapshot.scrapedAt, null);
+    assert.equal(snapshot.final, true);
+
+    const fireworks = snapshot.games['castle-fireworks'];
+    assert.deepEqual(fireworks.final.scores[0], { rank: 1, username: 'BRlTT', score: 10710 });
+    assert.deepEqual(fireworks.final.lateScores, []);
+    assert.deepEqual(fireworks.today.scores, []);
+  });
+
+  test('lists gaps and reconstructs the days it can', async () => {
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-19T21:00:00.000Z']);
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-23T21:00:00.000Z']);
+    // Pretend the scraper's own reconstruction never happened
+    await fs.rm(path.join(dataDir, 'daily', '2026-08-22.json'));
+
+    const { stdout: dryRun } = await runScript(BACKFILL, dataDir, ['--dry-run']);
+    assert.match(dryRun, /Missing \d+ day\(s\): 2026-08-20, 2026-08-21, 2026-08-22, 2026-08-24/);
+    assert.match(dryRun, /Would reconstruct missing day 2026-08-22 from 2026-08-23/);
+    await assert.rejects(fs.access(path.join(dataDir, 'daily', '2026-08-22.json')));
+
+    const { stdout } = await runScript(BACKFILL, dataDir);
+    assert.match(stdout, /Cannot reconstruct: 2026-08-20, 2026-08-21, 2026-08-24/);
+
+    const snapshot = await readSnapshot(dataDir, '2026-08-22');
+    assert.equal(snapshot.reconstructed, true);
+    assert.equal(snapshot.reconstructedFrom, '2026-08-23');
+  });
+});
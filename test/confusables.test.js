@@ -0,0 +1,62 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { skeleton, findConfusableGroups } from '../scripts/lib/confusables.js';
+import { FULL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+const CONFUSABLES = scriptPath('confusables');
+
+describe('skeleton', () => {
+  test('matches names that differ only by homoglyphs', () => {
+    assert.equal(skeleton('BRlTT'), skeleton('BRITT'));
+    assert.equal(skeleton('B0B'), skeleton('BOB'));
+    assert.equal(skeleton('Mickey'), skeleton('Mіckey')); // Cyrillic i
+    assert.equal(skeleton('modern'), skeleton('rnodern'));
+    assert.equal(skeleton('ＢＲＩＴＴ'), skeleton('BRITT')); // fullwidth
+  });
+
+  test('keeps names that look different apart', () => {
+    assert.notEqual(skeleton('BRITT'), skeleton('Britt'));
+    assert.notEqual(skeleton('Sar.'), skeleton('sar'));
+  });
+});
+
+describe('findConfusableGroups', () => {
+  test('groups look-alikes and leaves unique names out', () => {
+    assert.deepEqual(findConfusableGroups(['BRITT', 'Nayru', 'BRlTT', 'Dep', 'D3p', 'BR1TT']), [
+      ['BR1TT', 'BRITT', 'BRlTT']
+    ]);
+  });
+});
+
+describe('look-alike names in the data', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+
+    const page = await writePage(dataDir, 'impostor.html', { '<li>BRlTT - 10604</li>': '<li>BRITT - 10650</li>' });
+    await runScript(SCRAPER, dataDir, ['--html', page, '--now', '2026-08-22T21:00:00.000Z']);
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  test('are listed in users.json and the player index', async () => {
+    const usersData = JSON.parse(await fs.readFile(path.join(dataDir, 'users.json'), 'utf-8'));
+    assert.deepEqual(usersData.lookAlikes, [['BRITT', 'BRlTT']]);
+
+    const index = JSON.parse(await fs.readFile(path.join(dataDir, 'player-index.json'), 'utf-8'));
+    assert.deepEqual(index.lookAlikes, [['BRITT', 'BRlTT']]);
+  });
+
+  test('are reported from users.json', async () => {
+    const { stdout } = await runScript(CONFUSABLES, dataDir);
+    assert.match(stdout, /1 group\(s\) of look-alike names:/);
+    assert.match(stdout, /BRITT .*last seen 2026-08-22 {2}\(Fireworks 10650\)/);
+    assert.match(stdout, /BRlTT .*last seen 2026-08-22 {2}\(Fireworks 11390, .*\)/);
+  });
+});
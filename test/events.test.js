@@ -0,0 +1,93 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { FULL_PAGE, runScraper, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+describe('event log', () => {
+  let dataDir;
+  let nextDayPage;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    // Next day BRlTT breaks the Castle Fireworks record and JustForFun makes the top 10
+    nextDayPage = await writePage(dataDir, 'next-day.html', {
+      '<li>BRlTT - 10604</li>': '<li>BRlTT - 12000</li>',
+      '<li>JustForFun - 9627</li>': '<li>JustForFun - 10300</li>'
+    });
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const readEvents = async () =>
+    JSON.parse(await fs.readFile(path.join(dataDir, 'events', '2026-08.json'), 'utf-8')).events;
+  const fireworksEvents = async (date) =>
+    (await readEvents()).filter(e => e.gameId === 'castle-fireworks' && e.date === date);
+
+  test('a game\'s first scrape only logs the previous day\'s winner', async () => {
+    const events = await readEvents();
+    assert.deepEqual(events.map(e => [e.type, e.date]), Array(4).fill(['daily-winner', '2026-08-21']));
+
+    const [fireworks] = await fireworksEvents('2026-08-21');
+    assert.deepEqual(fireworks, {
+      id: fireworks.id,
+      type: 'daily-winner',
+      date: '2026-08-21',
+      gameId: 'castle-fireworks',
+      username: 'BRlTT',
+      score: 10710,
+      avatar: 'a2cba45f90efb916b1113728565ddf72.png',
+      rank: 1
+    });
+  });
+
+  test('logs records, top 10 entries and personal bests', async () => {
+    await runScraper(dataDir, ['--html', nextDayPage, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const events = await fireworksEvents('2026-08-23');
+    const byType = (type) => events.filter(e => e.type === type).map(({ id, avatar, ...rest }) => rest);
+
+    assert.deepEqual(byType('all-time-record'), [{
+      type: 'all-time-record',
+      date: '2026-08-23',
+      gameId: 'castle-fireworks',
+      username: 'BRlTT',
+      score: 12000,
+      rank: 1,
+      previous: { username: 'kazino', score: 11484 }
+    }]);
+    assert.deepEqual(byType('all-time-top-10'), [{
+      type: 'all-time-top-10',
+      date: '2026-08-23',
+      gameId: 'castle-fireworks',
+      username: 'JustForFun',
+      score: 10300,
+      rank: 10
+    }]);
+    assert.deepEqual(byType('personal-best').map(e => [e.username, e.previous.score, e.score, e.period]), [
+      ['BRlTT', 11390, 12000, 'today'],
+      ['JustForFun', 9627, 10300, 'today']
+    ]);
+
+    const record = events.find(e => e.type === 'all-time-record');
+    assert.equal(record.avatar, 'a2cba45f90efb916b1113728565ddf72.png');
+
+    // The previous day's winner is filed under that day
+    const [winner] = await fireworksEvents('2026-08-22');
+    assert.equal(winner.type, 'daily-winner');
+  });
+
+  test('seeing the same page again logs nothing new', async () => {
+    await runScraper(dataDir, ['--html', nextDayPage, '--now', '2026-08-23T21:00:00.000Z']);
+    const events = await readEvents();
+
+    const { stdout } = await runScraper(dataDir, ['--html', nextDayPage, '--now', '2026-08-23T22:00:00.000Z']);
+    assert.doesNotMatch(stdout, /Logged \d+ event/);
+    assert.deepEqual(await readEvents(), events);
+  });
+});
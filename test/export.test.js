@@ -0,0 +1,134 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { toCsv } from '../scripts/lib/csv.js';
+import { FULL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+const EXPORT = scriptPath('export');
+
+describe('toCsv', () => {
+  test('quotes fields that need it', () => {
+    assert.equal(
+      toCsv(['username', 'score'], [{ username: 'a,b', score: 1 }, { username: 'say "hi"', score: null }]),
+      'username,score\r\n"a,b",1\r\n"say ""hi""",\r\n'
+    );
+  });
+
+  test('keeps names that start like a formula as text', () => {
+    assert.equal(
+      toCsv(['username', 'score'], [{ username: '=HYPERLINK("x")', score: 1 }, { username: '@sum', score: 2 }, { username: '-Dash-', score: -3 }]),
+      'username,score\r\n"\'=HYPERLINK(""x"")",1\r\n\'@sum,2\r\n\'-Dash-,-3\r\n'
+    );
+  });
+});
+
+describe('export CLI', () => {
+  let dataDir;
+
+  const exportRows = async (args) => {
+    const { stdout } = await runScript(EXPORT, dataDir, args);
+    return stdout.trimEnd().split('\r\n').map(line => line.split(','));
+  };
+
+  before(async () => {
+    dataDir = await makeDataDir();
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    // Next day BRlTT drops to a lower score and a newcomer tops the board
+    const nextDayPage = await writePage(dataDir, 'next-day.html', {
+      '<li>BRlTT - 10604</li>': '<li>Newcomer - 10900</li><li>BRlTT - 9000</li>'
+    });
+    await runScript(SCRAPER, dataDir, ['--html', nextDayPage, '--now', '2026-08-23T21:00:00.000Z']);
+  });
+
+  after(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  test('exports a game\'s board for the latest day by default', async () => {
+    const rows = await exportRows(['--game', 'castle-fireworks']);
+    assert.deepEqual(rows[0], ['game', 'rank', 'username', 'score', 'date']);
+    assert.deepEqual(rows.slice(1, 3), [
+      ['castle-fireworks', '1', 'Newcomer', '10900', '2026-08-23'],
+      ['castle-fireworks', '2', 'BRlTT', '9000', '2026-08-23']
+    ]);
+  });
+
+  test('exports every player over a date range with their best', async () => {
+    const rows = await exportRows(['--game', 'castle-fireworks', '--from', '2026-08-21', '--to', '2026-08-23']);
+    const byName = new Map(rows.slice(1).map(row => [row[2], row]));
+
+    assert.deepEqual(rows[1], ['castle-fireworks', '1', 'Newcomer', '10900', '2026-08-23']);
+    assert.deepEqual(byName.get('BRlTT'), ['castle-fireworks', '2', 'BRlTT', '10710', '2026-08-21']);
+
+    // Every player from the three day boards, more than the site's top 10
+    const week = await exportRows(['--game', 'castle-fireworks', '--period', 'week']);
+    assert.deepEqual(week, rows);
+    assert.ok(rows.length - 1 > 10);
+  });
+
+  test('exports the all-time board and a player\'s history', async () => {
+    const allTime = await exportRows(['--period', 'alltime', '--game', 'castle-fireworks']);
+    assert.deepEqual(allTime[1].slice(0, 4), ['castle-fireworks', '1', 'kazino', '11484']);
+
+    const history = await exportRows(['--player', 'BRlTT', '--game', 'castle-fireworks']);
+    assert.deepEqual(history, [
+      ['username', 'game', 'date', 'rank', 'score'],
+      ['BRlTT', 'castle-fireworks', '2026-08-21', '1', '10710'],
+      ['BRlTT', 'castle-fireworks', '2026-08-22', '1', '10710'],
+      ['BRlTT', 'castle-fireworks', '2026-08-23', '2', '9000']
+    ]);
+  });
+
+  test('gives tied scores a shared rank on boards from older snapshots', async () => {
+    // Snapshots from before shared ranks stored each entry's position
+    const file = path.join(dataDir, 'daily', '2026-08-22.json');
+    const snapshot = JSON.parse(await fs.readFile(file, 'utf-8'));
+    const game = snapshot.games['haunted-mansion'];
+    const scores = [
+      { rank: 1, username: 'LittleGold', score: 218 },
+      { rank: 2, username: 'Winnie', score: 218 },
+      { rank: 3, username: 'Nayru', score: 200 }
+    ];
+    game.today = { ...game.today, scores };
+    if (game.final) game.final = { ...game.final, scores };
+    await fs.writeFile(file, JSON.stringify(snapshot, null, 2));
+
+    const board = await exportRows(['--game', 'haunted-mansion', '--date', '2026-08-22']);
+    assert.deepEqual(board.slice(1), [
+      ['haunted-mansion', '1', 'LittleGold', '218', '2026-08-22'],
+      ['haunted-mansion', '1', 'Winnie', '218', '2026-08-22'],
+      ['haunted-mansion', '3', 'Nayru', '200', '2026-08-22']
+    ]);
+
+    const history = await exportRows(['--player', 'Winnie', '--game', 'haunted-mansion']);
+    assert.deepEqual(history[1], ['Winnie', 'haunted-mansion', '2026-08-22', '1', '218']);
+  });
+
+  test('exports a renamed player\'s boards from before the rename', async () => {
+    const aliasesFile = path.join(dataDir, 'aliases.json');
+    await fs.writeFile(aliasesFile, JSON.stringify({ aliases: { BRlTT: 'BRITT' } }));
+
+    const { stdout } = await runScript(EXPORT, dataDir, ['--player', 'BRITT', '--game', 'castle-fireworks'], { MYVMK_ALIASES_FILE: aliasesFile });
+    assert.deepEqual(stdout.trimEnd().split('\r\n'), [
+      'username,game,date,rank,score',
+      'BRITT,castle-fireworks,2026-08-21,1,10710',
+      'BRITT,castle-fireworks,2026-08-22,1,10710',
+      'BRITT,castle-fireworks,2026-08-23,2,9000'
+    ]);
+  });
+
+  test('writes to a file and rejects bad options', async () => {
+    const out = path.join(dataDir, 'export.csv');
+    await runScript(EXPORT, dataDir, ['--game', 'pirates', '--out', out]);
+    assert.match(await fs.readFile(out, 'utf-8'), /^game,rank,username,score,date\r\npirates,1,/);
+
+    await assert.rejects(runScript(EXPORT, dataDir, ['--game', 'nope']), /Unknown game: nope/);
+    await assert.rejects(runScript(EXPORT, dataDir, ['--period', 'fortnight']), /Unknown period: fortnight/);
+    await assert.rejects(runScript(EXPORT, dataDir, ['--from', '2026-08-21']), /--from and --to go together/);
+    await assert.rejects(runScript(EXPORT, dataDir, ['--date', '2026-13-45']), /Invalid --date value: 2026-13-45/);
+    await assert.rejects(runScript(EXPORT, dataDir, ['--from', '2026-02-30', '--to', '2026-03-01']), /Invalid --from value: 2026-02-30/);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { FULL_PAGE, runScraper, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+const SITE_ENV = { MYVMK_SITE_URL: 'https://example.com/scores/' };
+
+describe('feeds', () => {
+  let dataDir;
+  let nextDayPage;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z'], SITE_ENV);
+
+    nextDayPage = await writePage(dataDir, 'next-day.html', {
+      '<li>BRlTT - 10604</li>': '<li>BRlTT - 12000</li>',
+      '<li>JustForFun - 9627</li>': '<li>JustForFun - 10300</li>'
+    });
+    await runScraper(dataDir, ['--html', nextDayPage, '--now', '2026-08-23T21:00:00.000Z'], SITE_ENV);
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const readFeeds = async () => ({
+    json: JSON.parse(await fs.readFile(path.join(dataDir, 'feed.json'), 'utf-8')),
+    atom: await fs.readFile(path.join(dataDir, 'feed.xml'), 'utf-8')
+  });
+
+  test('lists records, top 10 entries and daily winners, newest first', async () => {
+    const { json, atom } = await readFeeds();
+
+    assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(json.feed_url, 'https://example.com/scores/data/feed.json');
+    assert.deepEqual(json.items.filter(i => i.tags.includes('castle-fireworks')).map(i => i.title), [
+      'BRlTT set a new Castle Fireworks Remixed record of 12,000, beating kazino\'s 11,484',
+      'JustForFun entered the Castle Fireworks Remixed all-time top 10 at #10 with 10,300',
+      'BRlTT won Castle Fireworks Remixed on 2026-08-22 with 10,710',
+      'BRlTT won Castle Fireworks Remixed on 2026-08-21 with 10,710'
+    ]);
+    assert.equal(json.items.some(i => i.tags.includes('personal-best')), false);
+
+    const [record] = json.items;
+    assert.match(record.id, /^tag:myvmk-highscores,2026:event\/[0-9a-f]{12}$/);
+    assert.equal(record.date_published, '2026-08-23T07:00:00.000Z');
+    assert.equal(record.image, 'https://example.com/scores/data/avatars/a2cba45f90efb916b1113728565ddf72.png');
+
+    const atomIds = Array.from(atom.matchAll(/<entry>\s*<id>([^<]+)<\/id>/g), m => m[1]);
+    assert.deepEqual(atomIds, json.items.map(i => i.id));
+    assert.match(atom, /<updated>2026-08-23T07:00:00.000Z<\/updated>/);
+  });
+
+  test('a later scrape of the same day leaves the feeds unchanged', async () => {
+    const before = await readFeeds();
+    await runScraper(dataDir, ['--html', nextDayPage, '--now', '2026-08-23T23:00:00.000Z'], SITE_ENV);
+    assert.deepEqual(await readFeeds(), before);
+  });
+});
@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+
+import { validateData } from '../scripts/lib/schemas.js';
+import { GAMES, GAMES_FILE, GAME_IDS, isBetterScore, compareScores, assignCompetitionRanks } from '../scripts/lib/games.js';
+
+describe('games registry', () => {
+  test('config/games.json matches its schema', async () => {
+    const registry = JSON.parse(await fs.readFile(GAMES_FILE, 'utf-8'));
+    assert.deepEqual(validateData('games', registry), []);
+  });
+
+  test('compiles the source heading patterns for the scraper', () => {
+    const pirates = GAMES.find(g => g.id === 'pirates');
+    assert.equal(pirates.cssClass, 'potc');
+    assert.ok(pirates.headingPattern.test('Pirates of the Caribbean'));
+    assert.deepEqual(GAME_IDS, ['castle-fireworks', 'pirates', 'haunted-mansion', 'jungle-cruise']);
+  });
+
+  test('compares scores in the game\'s direction', () => {
+    assert.equal(isBetterScore('pirates', 200, 100), true);
+    assert.equal(isBetterScore('pirates', 100, 100), false);
+
+    const sorted = [{ score: 1 }, { score: 3 }, { score: 2 }].sort(compareScores('pirates'));
+    assert.deepEqual(sorted.map(s => s.score), [3, 2, 1]);
+  });
+
+  test('orders tied scores by the day they were achieved', () => {
+    const sorted = [
+      { username: 'Belle', score: 5, achievedOn: '2026-08-20' },
+      { username: 'Ariel', score: 5, achievedOn: '2026-08-18' },
+      { username: 'Mulan', score: 7, achievedOn: '2026-08-22' }
+    ].sort(compareScores('pirates'));
+    assert.deepEqual(sorted.map(s => s.username), ['Mulan', 'Ariel', 'Belle']);
+  });
+
+  test('assigns standard competition ranks', () => {
+    const ranked = assignCompetitionRanks([{ score: 9 }, { score: 7 }, { score: 7 }, { score: 7 }, { score: 3 }]);
+    assert.deepEqual(ranked.map(s => s.rank), [1, 2, 2, 2, 5]);
+  });
+
+  test('rejects entries missing required fields', () => {
+    const [violation] = validateData('games', { games: [{ id: 'tiki-room', name: 'Tiki Room' }] });
+    assert.match(violation, /^\/games\/0: must have required property/);
+  });
+});
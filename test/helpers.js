@@ -0,0 +1,65 @@
+/**
+ * Shared setup for the tests that run the scripts as a CLI against a
+ * throwaway data directory
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT_DIR = path.join(__dirname, '..');
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+export const FULL_PAGE = path.join(FIXTURES_DIR, 'highscores.html');
+export const PARTIAL_PAGE = path.join(FIXTURES_DIR, 'highscores-partial.html');
+
+export const run = promisify(execFile);
+
+/**
+ * Path to scripts/<name>.js
+ */
+export function scriptPath(name) {
+  return path.join(ROOT_DIR, 'scripts', `${name}.js`);
+}
+
+export const SCRAPER = scriptPath('scraper');
+
+/**
+ * Run a script with its data directory pointed at dataDir, plus any extra env
+ */
+export function runScript(script, dataDir, args = [], env = {}) {
+  return run(process.execPath, [script, ...args], {
+    env: { ...process.env, MYVMK_DATA_DIR: dataDir, ...env }
+  });
+}
+
+export function runScraper(dataDir, args = [], env = {}) {
+  return runScript(SCRAPER, dataDir, args, env);
+}
+
+export function makeDataDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'myvmk-data-'));
+}
+
+export function removeDataDir(dataDir) {
+  return fs.rm(dataDir, { recursive: true, force: true });
+}
+
+/**
+ * Save a copy of a page into dataDir with each key of replacements swapped for
+ * its value, e.g. the next day's page with someone's score raised
+ * Returns the copy's path.
+ */
+export async function writePage(dataDir, name, replacements, from = FULL_PAGE) {
+  let html = await fs.readFile(from, 'utf-8');
+  for (const [search, replacement] of Object.entries(replacements)) {
+    html = html.replace(search, replacement);
+  }
+  const page = path.join(dataDir, name);
+  await fs.writeFile(page, html);
+  return page;
+}
@@ -0,0 +1,211 @@
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+
+import { fetchWithRetry, fetchIfModified } from '../scripts/lib/http.js';
+import { FULL_PAGE, runScraper, makeDataDir, removeDataDir } from './helpers.js';
+
+const FAST = { retries: 2, backoffMs: 5, timeoutMs: 1000 };
+
+/**
+ * Start a stub server whose responses are decided per request by handler(req, res, count)
+ * where count is how many requests that path has seen, starting at 1
+ */
+async function startStub(handler) {
+  const counts = new Map();
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const count = (counts.get(req.url) || 0) + 1;
+    counts.set(req.url, count);
+    requests.push({ url: req.url, headers: req.headers });
+    handler(req, res, count);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+describe('fetchWithRetry', () => {
+  let stub;
+
+  afterEach(async () => {
+    await stub.close();
+  });
+
+  test('retries 5xx responses until one succeeds', async () => {
+    stub = await startStub((req, res, count) => {
+      if (count < 3) {
+        res.writeHead(503).end('busy');
+      } else {
+        res.writeHead(200).end('ok');
+      }
+    });
+
+    const response = await fetchWithRetry(`${stub.url}/page`, FAST);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'ok');
+    assert.equal(stub.requests.length, 3);
+  });
+
+  test('returns the last 5xx once retries run out', async () => {
+    stub = await startStub((req, res) => res.writeHead(500).end());
+
+    const response = await fetchWithRetry(`${stub.url}/page`, FAST);
+    assert.equal(response.status, 500);
+    assert.equal(stub.requests.length, 3);
+  });
+
+  test('does not retry client errors', async () => {
+    stub = await startStub((req, res) => res.writeHead(404).end());
+
+    const response = await fetchWithRetry(`${stub.url}/page`, FAST);
+    assert.equal(response.status, 404);
+    assert.equal(stub.requests.length, 1);
+  });
+
+  test('times out slow responses and retries them', async () => {
+    stub = await startStub((req, res, count) => {
+      if (count === 1) {
+        setTimeout(() => res.writeHead(200).end('too late'), 500);
+      } else {
+        res.writeHead(200).end('ok');
+      }
+    });
+
+    const response = await fetchWithRetry(`${stub.url}/page`, { ...FAST, timeoutMs: 100 });
+    assert.equal(await response.text(), 'ok');
+    assert.equal(stub.requests.length, 2);
+  });
+
+  test('gives up with an error when every attempt times out', async () => {
+    stub = await startStub((req, res) => {
+      setTimeout(() => res.writeHead(200).end(), 500);
+    });
+
+    await assert.rejects(
+      fetchWithRetry(`${stub.url}/page`, { ...FAST, retries: 1, timeoutMs: 50 }),
+      /failed after 2 attempt\(s\): timed out after 50ms/
+    );
+  });
+
+  test('identifies itself with a User-Agent', async () => {
+    stub = await startStub((req, res) => res.writeHead(200).end());
+
+    await fetchWithRetry(`${stub.url}/page`, FAST);
+    assert.match(stub.requests[0].headers['user-agent'], /^myvmk-highscores-tracker/);
+  });
+});
+
+describe('fetchIfModified', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStub((req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304).end();
+      } else {
+        res.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Sat, 22 Aug 2026 21:00:00 GMT' }).end('page');
+      }
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  test('returns the body and the validators to send next time', async () => {
+    const result = await fetchIfModified(`${stub.url}/highscores`, {}, FAST);
+    assert.deepEqual(result, {
+      notModified: false,
+      body: 'page',
+      validators: { etag: '"v1"', lastModified: 'Sat, 22 Aug 2026 21:00:00 GMT' }
+    });
+  });
+
+  test('reports a 304 as not modified', async () => {
+    const result = await fetchIfModified(`${stub.url}/highscores`, { etag: '"v1"', lastModified: 'x' }, FAST);
+    assert.deepEqual(result, { notModified: true });
+
+    const { headers } = stub.requests.at(-1);
+    assert.equal(headers['if-none-match'], '"v1"');
+    assert.equal(headers['if-modified-since'], 'x');
+  });
+});
+
+describe('scraper fetching', () => {
+  let dataDir;
+  let stub;
+  let page;
+
+  before(async () => {
+    const html = await fs.readFile(FULL_PAGE, 'utf-8');
+    stub = await startStub((req, res, count) => {
+      if (req.url.startsWith('/images/avatars/')) {
+        // Every avatar fails once before it downloads
+        if (count === 1) {
+          res.writeHead(502).end();
+        } else {
+          res.writeHead(200, { 'Content-Type': 'image/png' }).end('png');
+        }
+      } else if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304).end();
+      } else if (count === 1) {
+        res.writeHead(503).end();
+      } else {
+        res.writeHead(200, { ETag: '"v1"' }).end(page);
+      }
+    });
+    page = html.replaceAll('https://www.myvmk.com', stub.url);
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  function scrape(now) {
+    return runScraper(dataDir, ['--now', now], {
+      MYVMK_HIGHSCORES_URL: `${stub.url}/highscores`,
+      MYVMK_FETCH_BACKOFF_MS: '5'
+    });
+  }
+
+  test('recovers from transient errors and skips an unchanged page', async () => {
+    await scrape('2026-08-22T18:00:00.000Z');
+
+    const snapshot = JSON.parse(await fs.readFile(path.join(dataDir, 'daily', '2026-08-22.json'), 'utf-8'));
+    assert.equal(Object.keys(snapshot.games).length, 4);
+
+    const avatars = await fs.readdir(path.join(dataDir, 'avatars'));
+    assert.ok(avatars.length > 0);
+    assert.equal(await fs.readFile(path.join(dataDir, 'avatars', avatars[0]), 'utf-8'), 'png');
+
+    const cache = JSON.parse(await fs.readFile(path.join(dataDir, 'http-cache.json'), 'utf-8'));
+    assert.deepEqual(cache, { [`${stub.url}/highscores`]: { etag: '"v1"' } });
+
+    const [rawDay] = await fs.readdir(path.join(dataDir, 'raw'));
+    assert.equal(rawDay, '2026-08-22');
+
+    const { stdout } = await scrape('2026-08-22T21:00:00.000Z');
+    assert.match(stdout, /not modified since the last scrape/);
+
+    const intraday = JSON.parse(await fs.readFile(path.join(dataDir, 'intraday', '2026-08-22.json'), 'utf-8'));
+    assert.equal(intraday.scrapes.length, 1);
+  });
+});
@@ -0,0 +1,70 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { FULL_PAGE, PARTIAL_PAGE, runScraper, makeDataDir, removeDataDir } from './helpers.js';
+
+describe('manifest', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(dataDir, 'manifest.json'), 'utf-8'));
+
+  test('lists every day with its completeness', async () => {
+    await runScraper(dataDir, ['--html', PARTIAL_PAGE, '--now', '2026-08-20T18:00:00.000Z']);
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T18:00:00.000Z']);
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const manifest = await readManifest();
+    assert.equal(manifest.schemaVersion, 1);
+    assert.equal(manifest.generatedAt, '2026-08-22T21:00:00.000Z');
+    assert.equal(manifest.lastScrapedAt, '2026-08-22T21:00:00.000Z');
+    assert.equal(manifest.latestDate, '2026-08-22');
+    // 2026-08-19 and 2026-08-21 are reconstructed from the following day
+    assert.deepEqual(Object.keys(manifest.days), ['2026-08-19', '2026-08-20', '2026-08-21', '2026-08-22']);
+
+    // Only two of four games, and never finalized
+    assert.deepEqual(manifest.days['2026-08-20'], {
+      scrapedAt: '2026-08-20T18:00:00.000Z',
+      gameCount: 2,
+      intradayScrapes: 1,
+      final: false,
+      reconstructed: false,
+      complete: false
+    });
+
+    // Rebuilt from 2026-08-22's "yesterday" column
+    assert.deepEqual(manifest.days['2026-08-21'], {
+      scrapedAt: null,
+      gameCount: 4,
+      intradayScrapes: 0,
+      final: true,
+      reconstructed: true,
+      complete: true
+    });
+
+    // Today is still in progress
+    assert.equal(manifest.days['2026-08-22'].intradayScrapes, 2);
+    assert.equal(manifest.days['2026-08-22'].complete, false);
+
+    assert.deepEqual(manifest.eventMonths, ['2026-08']);
+  });
+
+  test('a day becomes complete once the next day finalizes it', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const manifest = await readManifest();
+    assert.equal(manifest.days['2026-08-22'].final, true);
+    assert.equal(manifest.days['2026-08-22'].complete, true);
+    assert.equal(manifest.latestDate, '2026-08-23');
+  });
+});
@@ -0,0 +1,175 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+
+import { FULL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+const NOTIFY = scriptPath('notify');
+
+/**
+ * Start a stub webhook that records each JSON body posted to it and answers
+ * with status(count), where count is how many posts it has seen: a status
+ * code, or [status code, JSON body]
+ */
+async function startWebhook(status = () => 204) {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      posts.push({ method: req.method, url: req.url, body: JSON.parse(body) });
+      const [code, json] = [status(posts.length)].flat();
+      if (json) {
+        res.writeHead(code, { 'Content-Type': 'application/json' }).end(JSON.stringify(json));
+      } else {
+        res.writeHead(code).end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    posts,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+describe('webhook notifications', () => {
+  let dataDir;
+  let webhooksFile;
+  let nextDayPage;
+  let webhook;
+
+  function runNotifying(script, args = []) {
+    return runScript(script, dataDir, args, {
+      MYVMK_WEBHOOKS_FILE: webhooksFile,
+      MYVMK_SITE_URL: 'https://example.com/scores/',
+      MYVMK_FETCH_BACKOFF_MS: '10',
+      TEST_WEBHOOK_URL: webhook.url
+    });
+  }
+
+  async function configure(events) {
+    await fs.writeFile(webhooksFile, JSON.stringify({
+      webhooks: [{ name: 'test-channel', urlEnv: 'TEST_WEBHOOK_URL', events }]
+    }));
+  }
+
+  const scrapeNextDay = (now = '2026-08-23T21:00:00.000Z') =>
+    runNotifying(SCRAPER, ['--html', nextDayPage, '--now', now]);
+  const embedsPosted = () => webhook.posts.flatMap(p => p.body.embeds);
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+    webhooksFile = path.join(dataDir, 'webhooks.json');
+    await configure([]);
+    webhook = await startWebhook();
+
+    await runNotifying(SCRAPER, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    nextDayPage = await writePage(dataDir, 'next-day.html', { '<li>BRlTT - 10604</li>': '<li>BRlTT - 12000</li>' });
+  });
+
+  afterEach(async () => {
+    await webhook.close();
+    await removeDataDir(dataDir);
+  });
+
+  test('posts Discord embeds for the configured event types', async () => {
+    await configure(['all-time-record', 'daily-winner']);
+    const { stdout } = await scrapeNextDay();
+
+    assert.equal(webhook.posts.length, 1);
+    assert.equal(webhook.posts[0].method, 'POST');
+    assert.equal(webhook.posts[0].body.username, 'MyVMK High Scores');
+
+    const embeds = embedsPosted();
+    assert.deepEqual(embeds.map(e => e.title).sort(), [
+      '🏆 New all-time record',
+      ...Array(4).fill('🥇 Daily winner')
+    ]);
+    const record = embeds.find(e => e.title === '🏆 New all-time record');
+    assert.deepEqual(record, {
+      title: '🏆 New all-time record',
+      description: 'BRlTT set a new Castle Fireworks Remixed record of 12,000, beating kazino\'s 11,484',
+      url: 'https://example.com/scores/',
+      color: record.color,
+      thumbnail: { url: 'https://example.com/scores/data/avatars/a2cba45f90efb916b1113728565ddf72.png' },
+      footer: { text: 'Castle Fireworks Remixed' },
+      timestamp: '2026-08-23T07:00:00.000Z'
+    });
+    assert.match(stdout, /Sent 5 notification\(s\) to test-channel/);
+  });
+
+  test('later runs do not repeat what was sent', async () => {
+    await configure(['all-time-record', 'daily-winner']);
+    await scrapeNextDay();
+    await scrapeNextDay('2026-08-23T23:00:00.000Z');
+
+    assert.equal(webhook.posts.length, 1);
+    const { sent } = JSON.parse(await fs.readFile(path.join(dataDir, 'notifications.json'), 'utf-8'));
+    assert.equal(Object.keys(sent['test-channel']).length, 5);
+  });
+
+  test('announces a double credit day once', async () => {
+    await configure(['double-credit-day']);
+    await fs.writeFile(path.join(dataDir, 'double-credit-days.json'), JSON.stringify({ dates: ['2026-08-23'] }));
+    await scrapeNextDay();
+    await scrapeNextDay('2026-08-23T23:00:00.000Z');
+
+    assert.deepEqual(embedsPosted().map(e => e.title), ['💰 Double credit day']);
+  });
+
+  test('a failed post is retried on the next run', async () => {
+    await webhook.close();
+    webhook = await startWebhook(count => (count === 1 ? 500 : 204));
+    await configure(['all-time-record']);
+
+    const { stderr } = await scrapeNextDay();
+    assert.match(stderr, /Notifying test-channel failed, will retry next run: webhook responded 500/);
+
+    // Not within the run: the failed post may have gone through
+    await scrapeNextDay('2026-08-23T23:00:00.000Z');
+    assert.equal(webhook.posts.length, 2);
+    assert.deepEqual(webhook.posts[1].body, webhook.posts[0].body);
+  });
+
+  test('a rate-limited post is retried after the wait asked for', async () => {
+    await webhook.close();
+    webhook = await startWebhook(count => (count === 1 ? [429, { message: 'You are being rate limited.', retry_after: 0.05 }] : 204));
+    await configure(['all-time-record']);
+
+    const { stdout, stderr } = await scrapeNextDay();
+    assert.match(stderr, /Webhook rate limited, retrying in 50ms/);
+    assert.match(stdout, /Sent 1 notification\(s\) to test-channel/);
+    assert.equal(webhook.posts.length, 2);
+    assert.deepEqual(webhook.posts[1].body, webhook.posts[0].body);
+  });
+
+  test('a dry run prints the messages without sending or recording them', async () => {
+    await scrapeNextDay();
+    await configure(['all-time-record']);
+
+    const { stdout } = await runNotifying(NOTIFY, ['--date', '2026-08-23', '--dry-run']);
+    assert.match(stdout, /Would send to test-channel:/);
+    assert.match(stdout, /BRlTT set a new Castle Fireworks Remixed record of 12,000/);
+    assert.equal(webhook.posts.length, 0);
+    await assert.rejects(fs.access(path.join(dataDir, 'notifications.json')));
+
+    await runNotifying(NOTIFY, ['--date', '2026-08-23']);
+    assert.equal(webhook.posts.length, 1);
+  });
+
+  test('--test sends a test message to every webhook', async () => {
+    await configure(['daily-winner']);
+    const { stdout } = await runNotifying(NOTIFY, ['--test']);
+
+    assert.match(stdout, /Sent a test message to test-channel/);
+    assert.deepEqual(embedsPosted().map(e => e.title), ['Test notification']);
+  });
+});
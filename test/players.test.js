@@ -0,0 +1,145 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { playerSlug } from '../scripts/scraper.js';
+import { ROOT_DIR, FULL_PAGE, runScraper, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+const INDEX_HTML = path.join(ROOT_DIR, 'index.html');
+
+describe('playerSlug', () => {
+  test('keeps a readable, filesystem safe name', () => {
+    assert.match(playerSlug('Sar.'), /^sar-[0-9a-f]{8}$/);
+    assert.match(playerSlug('-StrawberryAvalanche-'), /^strawberryavalanche-[0-9a-f]{8}$/);
+    assert.match(playerSlug('../../etc'), /^etc-[0-9a-f]{8}$/);
+    assert.match(playerSlug('★★★'), /^player-[0-9a-f]{8}$/);
+  });
+
+  test('never maps two usernames to the same file', () => {
+    const names = ['Sar.', 'sar', 'SAR', 'Sar_', 'sar-'];
+    assert.equal(new Set(names.map(playerSlug)).size, names.length);
+  });
+
+  test('is stable across runs', () => {
+    assert.equal(playerSlug('BRlTT'), playerSlug('BRlTT'));
+  });
+});
+
+describe('player files', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const readJSON = async (file) => JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf-8'));
+
+  test('writes a name-only index and one detail file per player', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const users = await readJSON('users.json');
+    const index = await readJSON('player-index.json');
+    assert.equal(index.playerCount, users.userCount);
+    assert.deepEqual(Object.keys(index.players).sort(), Object.keys(users.users).sort());
+
+    const files = await fs.readdir(path.join(dataDir, 'players'));
+    assert.equal(files.length, users.userCount);
+
+    const player = await readJSON(`players/${index.players.BRlTT}.json`);
+    assert.equal(player.username, 'BRlTT');
+    assert.deepEqual(player.profile, users.users.BRlTT);
+  });
+
+  test('history follows each day\'s final board', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const index = await readJSON('player-index.json');
+    const day = await readJSON('daily/2026-08-22.json');
+    const [first] = day.games.pirates.final.scores;
+
+    const player = await readJSON(`players/${index.players[first.username]}.json`);
+    const entry = player.history.pirates.find(h => h.date === '2026-08-22');
+    assert.deepEqual(entry, { date: '2026-08-22', score: first.score, rank: first.rank });
+  });
+
+  test('records every personal best with its column and rank', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const page = await writePage(dataDir, 'improved.html', { '<li>BRlTT - 10604</li>': '<li>BRlTT - 12000</li>' });
+    await runScraper(dataDir, ['--html', page, '--now', '2026-08-23T21:00:00.000Z']);
+
+    // Day one's today and yesterday scores are beaten by the same day's highscores entry
+    const { personalBests } = (await readJSON('users.json')).users.BRlTT.games['castle-fireworks'];
+    assert.deepEqual(personalBests, [
+      { date: '2026-08-22', score: 11390, period: 'highscores', rank: 2 },
+      { date: '2026-08-23', score: 12000, period: 'today', rank: 1 }
+    ]);
+  });
+
+  test('starts a progression from the best kept before PBs were recorded', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    const users = await readJSON('users.json');
+    delete users.users.BRlTT.games['castle-fireworks'].personalBests;
+    await fs.writeFile(path.join(dataDir, 'users.json'), JSON.stringify(users));
+
+    const page = await writePage(dataDir, 'improved.html', { '<li>BRlTT - 10604</li>': '<li>BRlTT - 12000</li>' });
+    await runScraper(dataDir, ['--html', page, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const { personalBests } = (await readJSON('users.json')).users.BRlTT.games['castle-fireworks'];
+    assert.deepEqual(personalBests.map(pb => [pb.date, pb.score, pb.period]), [
+      ['2026-08-22', 11390, null],
+      ['2026-08-23', 12000, 'today']
+    ]);
+  });
+
+  test('only rewrites players whose details changed', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T18:00:00.000Z']);
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T20:00:00.000Z']);
+    const { stdout } = await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    assert.match(stdout, /Updated player files: 0 written, 0 removed/);
+  });
+
+  test('writes a static profile page per player with Open Graph tags', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    const index = await readJSON('player-index.json');
+    const slug = index.players.kazino;
+
+    const pages = await fs.readdir(path.join(dataDir, 'profiles'));
+    assert.equal(pages.length, index.playerCount);
+    assert.equal(index.profilePages, true);
+
+    const page = await fs.readFile(path.join(dataDir, 'profiles', `${slug}.html`), 'utf-8');
+    assert.match(page, /<meta property="og:title" content="kazino – MyVMK High Scores">/);
+    assert.match(page, new RegExp(`<meta property="og:url" content="https://bsims-codes.github.io/myvmk-highscores/data/profiles/${slug}.html">`));
+    assert.match(page, /<meta property="og:description" content="kazino&#39;s MyVMK high scores: Castle Fireworks Remixed 11,484 \(#1 all-time\)">/);
+    assert.match(page, /<span class="user-game-score">11,484<\/span>\s*<span class="user-game-context">#1 All-Time<\/span>/);
+    assert.match(page, new RegExp(`<body data-player="${slug}">`));
+    // Same stylesheet version as the home page
+    const [stylesheet] = (await fs.readFile(INDEX_HTML, 'utf-8')).match(/css\/styles\.css\?v=\d+/);
+    assert.ok(page.includes(`../../${stylesheet}"`));
+    // kazino is only on the all-time board, so has no daily history to chart
+    assert.doesNotMatch(page, /<canvas/);
+
+    // Daily winners have their avatar scraped too
+    const brltt = await fs.readFile(path.join(dataDir, 'profiles', `${index.players.BRlTT}.html`), 'utf-8');
+    assert.match(brltt, /<meta property="og:image" content="https:\/\/bsims-codes.github.io\/myvmk-highscores\/data\/avatars\/a2cba45f90efb916b1113728565ddf72.png">/);
+    assert.match(brltt, /<canvas data-game="castle-fireworks" data-color="#[0-9a-f]{6}"><\/canvas>/);
+    assert.match(brltt, /<span class="profile-placement-rank">#1<\/span>\s*<span class="profile-placement-game">\S+ Castle Fireworks Remixed<\/span>\s*<span class="profile-placement-score">10,710<\/span>/);
+  });
+
+  test('escapes usernames in profile pages', async () => {
+    const page = await writePage(dataDir, 'page.html', { '<li>kazino - 11484</li>': '<li>&lt;b&gt;"kaz" - 11484</li>' });
+    await runScraper(dataDir, ['--html', page, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const index = await readJSON('player-index.json');
+    const profile = await fs.readFile(path.join(dataDir, 'profiles', `${index.players['<b>"kaz"']}.html`), 'utf-8');
+    assert.match(profile, /<title>&lt;b&gt;&quot;kaz&quot; – MyVMK High Scores<\/title>/);
+    assert.doesNotMatch(profile, /<b>"kaz"/);
+  });
+});
@@ -0,0 +1,119 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { FULL_PAGE, PARTIAL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir } from './helpers.js';
+
+const REBUILD = scriptPath('rebuild');
+
+describe('rebuild', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+    await runScript(SCRAPER, dataDir, ['--html', PARTIAL_PAGE, '--now', '2026-08-20T21:00:00.000Z']);
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const read = (file) => fs.readFile(path.join(dataDir, file), 'utf-8');
+
+  test('reproduces what the scraper built day by day', async () => {
+    const allTime = await read('all-time.json');
+    const users = await read('users.json');
+
+    const { stdout } = await runScript(REBUILD, dataDir);
+    assert.match(stdout, /all-time\.json: unchanged/);
+    assert.match(stdout, /users\.json: unchanged/);
+    assert.match(stdout, /Replayed 2 day\(s\); changed 0 file\(s\)/);
+
+    assert.equal(await read('all-time.json'), allTime);
+    assert.equal(await read('users.json'), users);
+  });
+
+  test('dry run diffs against the current files without writing', async () => {
+    const allTimePath = path.join(dataDir, 'all-time.json');
+    const allTime = JSON.parse(await read('all-time.json'));
+    allTime.games.pirates.scores[0].score -= 1;
+    await fs.writeFile(allTimePath, JSON.stringify(allTime));
+    await fs.rm(path.join(dataDir, 'users.json'));
+
+    const { stdout } = await runScript(REBUILD, dataDir, ['--dry-run']);
+    assert.match(stdout, /all-time\.json: 1 change\(s\)\n {2}games\.pirates\.scores\[0\]\.score: \d+ -> \d+/);
+    assert.match(stdout, /users\.json: 1 change\(s\)\n {2}\(new file\)/);
+    assert.match(stdout, /dry run, would change 2 file\(s\)/);
+
+    assert.deepEqual(JSON.parse(await read('all-time.json')), allTime);
+    await assert.rejects(fs.access(path.join(dataDir, 'users.json')));
+  });
+
+  test('regenerates damaged files from the snapshots', async () => {
+    const expected = await read('all-time.json');
+    await fs.writeFile(path.join(dataDir, 'all-time.json'), JSON.stringify({ lastUpdated: '2026-08-22', games: {} }));
+
+    await runScript(REBUILD, dataDir);
+    assert.equal(await read('all-time.json'), expected);
+  });
+
+  test('keeps players that no snapshot mentions', async () => {
+    const usersPath = path.join(dataDir, 'users.json');
+    const usersData = JSON.parse(await read('users.json'));
+    const oldTimer = {
+      avatar: null,
+      lastSeen: '2025-12-30',
+      lastAppearance: { game: 'pirates', rank: 3, date: '2025-12-30' },
+      games: { pirates: { bestScore: 1234, date: '2025-12-30', rank: 3 } }
+    };
+    usersData.users.OldTimer = oldTimer;
+    usersData.userCount++;
+    await fs.writeFile(usersPath, JSON.stringify(usersData, null, 2));
+
+    const { stdout } = await runScript(REBUILD, dataDir);
+    assert.match(stdout, /Keeping 1 player\(s\) from users\.json that no snapshot mentions/);
+    assert.match(stdout, /users\.json: unchanged/);
+
+    const rebuilt = JSON.parse(await read('users.json'));
+    assert.deepEqual(rebuilt.users.OldTimer, oldTimer);
+    assert.equal(rebuilt.userCount, usersData.userCount);
+    await fs.access(path.join(dataDir, 'players', `${JSON.parse(await read('player-index.json')).players.OldTimer}.json`));
+  });
+
+  test('keeps records that no snapshot reaches', async () => {
+    // Fotogirl's record predates our oldest snapshot
+    const allTime = JSON.parse(await read('all-time.json'));
+    const record = { rank: 1, username: 'Fotogirl', score: 99999, achievedOn: '2025-11-02' };
+    allTime.games.pirates.scores.unshift(record);
+    await fs.writeFile(path.join(dataDir, 'all-time.json'), JSON.stringify(allTime, null, 2));
+
+    const usersData = JSON.parse(await read('users.json'));
+    const [username, user] = Object.entries(usersData.users).find(([, u]) => u.games.pirates?.bestScore);
+    const best = { ...user.games.pirates, bestScore: user.games.pirates.bestScore + 500, date: '2025-11-01' };
+    user.games.pirates = best;
+    await fs.writeFile(path.join(dataDir, 'users.json'), JSON.stringify(usersData, null, 2));
+
+    const { stdout } = await runScript(REBUILD, dataDir);
+    assert.match(stdout, /Keeping \d+ record\(s\) from the current files that beat the snapshots/);
+
+    const rebuiltAllTime = JSON.parse(await read('all-time.json'));
+    assert.deepEqual(rebuiltAllTime.games.pirates.scores[0], record);
+    assert.equal(rebuiltAllTime.games.pirates.scores[1].rank, 2);
+    assert.ok(rebuiltAllTime.games.pirates.scores.length <= 50);
+
+    const rebuiltUsers = JSON.parse(await read('users.json'));
+    assert.equal(rebuiltUsers.users[username].games.pirates.bestScore, best.bestScore);
+    assert.equal(rebuiltUsers.users[username].games.pirates.date, '2025-11-01');
+  });
+
+  test('skips reconstructed days', async () => {
+    // 2026-08-21 is reconstructed from 2026-08-22's yesterday column by the scraper
+    const reconstructed = JSON.parse(await read('daily/2026-08-21.json'));
+    assert.equal(reconstructed.reconstructed, true);
+
+    const { stdout } = await runScript(REBUILD, dataDir, ['--dry-run']);
+    assert.match(stdout, /Replayed 2 day\(s\)/);
+  });
+});
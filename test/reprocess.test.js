@@ -0,0 +1,108 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+
+import { diffJSON } from '../scripts/lib/json-diff.js';
+import { FIXTURES_DIR, scriptPath, runScript, makeDataDir, removeDataDir } from './helpers.js';
+
+const REPROCESS = scriptPath('reprocess');
+
+/**
+ * Archive a fixture page the same way the scraper does
+ */
+async function archiveFixture(dataDir, fixture, date, scrapedAt) {
+  const dir = path.join(dataDir, 'raw', date);
+  await fs.mkdir(dir, { recursive: true });
+  const html = await fs.readFile(path.join(FIXTURES_DIR, fixture));
+  await fs.writeFile(
+    path.join(dir, `${scrapedAt.replace(/:/g, '-')}.html.gz`),
+    zlib.gzipSync(html)
+  );
+}
+
+async function readSnapshot(dataDir, date) {
+  return JSON.parse(await fs.readFile(path.join(dataDir, 'daily', `${date}.json`), 'utf-8'));
+}
+
+describe('diffJSON', () => {
+  test('reports changed, added and removed paths', () => {
+    const before = { date: '2026-08-22', games: { pirates: { scores: [{ score: 120 }, { score: 90 }] } } };
+    const after = { date: '2026-08-22', games: { pirates: { scores: [{ score: 125 }] }, hm: {} } };
+
+    assert.deepEqual(diffJSON(before, after), [
+      'games.pirates.scores[0].score: 120 -> 125',
+      'games.pirates.scores[1]: {"score":90} -> (missing)',
+      'games.hm: (missing) -> {}'
+    ]);
+  });
+
+  test('returns nothing for equal values', () => {
+    assert.deepEqual(diffJSON({ a: [1, { b: null }] }, { a: [1, { b: null }] }), []);
+  });
+});
+
+describe('reprocess', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  test('regenerates a snapshot from the archived page', async () => {
+    await archiveFixture(dataDir, 'highscores.html', '2026-08-22', '2026-08-22T21:00:00.000Z');
+
+    const { stdout } = await runScript(REPROCESS, dataDir);
+
+    const snapshot = await readSnapshot(dataDir, '2026-08-22');
+    assert.equal(snapshot.scrapedAt, '2026-08-22T21:00:00.000Z');
+    assert.equal(Object.keys(snapshot.games).length, 4);
+    assert.match(stdout, /2026-08-22: 1 change\(s\)/);
+  });
+
+  test('replays pages in order without letting a partial page win', async () => {
+    await archiveFixture(dataDir, 'highscores-partial.html', '2026-08-22', '2026-08-22T15:00:00.000Z');
+    await archiveFixture(dataDir, 'highscores.html', '2026-08-22', '2026-08-22T18:00:00.000Z');
+    await archiveFixture(dataDir, 'highscores-partial.html', '2026-08-22', '2026-08-22T21:00:00.000Z');
+    await archiveFixture(dataDir, 'highscores-empty.html', '2026-08-22', '2026-08-23T00:00:00.000Z');
+
+    await runScript(REPROCESS, dataDir);
+
+    const snapshot = await readSnapshot(dataDir, '2026-08-22');
+    assert.equal(snapshot.scrapedAt, '2026-08-22T18:00:00.000Z');
+    assert.equal(Object.keys(snapshot.games).length, 4);
+  });
+
+  test('prints the diff against the existing snapshot before writing', async () => {
+    await archiveFixture(dataDir, 'highscores.html', '2026-08-22', '2026-08-22T21:00:00.000Z');
+    await runScript(REPROCESS, dataDir);
+
+    // Simulate a snapshot written by a buggy parser
+    const broken = await readSnapshot(dataDir, '2026-08-22');
+    broken.games.pirates.today.scores[0].score = 1;
+    await fs.writeFile(path.join(dataDir, 'daily', '2026-08-22.json'), JSON.stringify(broken, null, 2));
+
+    const { stdout } = await runScript(REPROCESS, dataDir, ['--date', '2026-08-22']);
+    assert.match(stdout, /games\.pirates\.today\.scores\[0\]\.score: 1 -> \d+/);
+
+    const fixed = await readSnapshot(dataDir, '2026-08-22');
+    assert.notEqual(fixed.games.pirates.today.scores[0].score, 1);
+
+    const { stdout: again } = await runScript(REPROCESS, dataDir);
+    assert.match(again, /2026-08-22: unchanged/);
+  });
+
+  test('writes nothing in dry-run mode', async () => {
+    await archiveFixture(dataDir, 'highscores.html', '2026-08-22', '2026-08-22T21:00:00.000Z');
+
+    const { stdout } = await runScript(REPROCESS, dataDir, ['--dry-run']);
+
+    assert.match(stdout, /Dry run: 1 snapshot\(s\) would change/);
+    await assert.rejects(fs.access(path.join(dataDir, 'daily', '2026-08-22.json')));
+  });
+});
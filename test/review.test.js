@@ -0,0 +1,161 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { findSuspiciousReasons } from '../scripts/lib/review.js';
+import { FULL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+const REVIEW = scriptPath('review');
+const REBUILD = scriptPath('rebuild');
+
+const board = (...scores) => scores.map((score, i) => ({ rank: i + 1, username: `p${i}`, score }));
+
+describe('findSuspiciousReasons', () => {
+  const history = board(1000, 900, 800, 700, 600, 500, 400, 300, 200, 100);
+
+  test('flags a score far above the all-time record', () => {
+    const [reason] = findSuspiciousReasons('pirates', 2000, { board: history, boardSize: 50 });
+    assert.equal(reason, '2.0x the all-time record of 1000');
+    assert.deepEqual(findSuspiciousReasons('pirates', 1200, { board: history, boardSize: 50 }), []);
+  });
+
+  test('needs some history before judging records', () => {
+    assert.deepEqual(findSuspiciousReasons('pirates', 2000, { board: board(1000), boardSize: 50 }), []);
+  });
+
+  test('flags a huge personal jump onto the board', () => {
+    const [reason] = findSuspiciousReasons('pirates', 500, { board: history, boardSize: 50, personalBest: 20 });
+    assert.equal(reason, '25.0x the player\'s previous best of 20');
+
+    // Improving from a first bad game is normal when it doesn't make the board
+    assert.deepEqual(findSuspiciousReasons('pirates', 50, { board: history, boardSize: 10, personalBest: 2 }), []);
+  });
+});
+
+describe('review queue', () => {
+  let dataDir;
+  let outlierPage;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    // Next day, BRlTT tops today's Castle Fireworks board with an impossible score
+    outlierPage = await writePage(dataDir, 'outlier.html', { '<li>BRlTT - 10604</li>': '<li>BRlTT - 99999</li>' });
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const readJSON = async (file) => JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf-8'));
+  const fireworksScore = async (username) =>
+    (await readJSON('all-time.json')).games['castle-fireworks'].scores.find(s => s.username === username);
+
+  async function scrapeOutlier(now = '2026-08-23T21:00:00.000Z') {
+    const { stdout, stderr } = await runScript(SCRAPER, dataDir, ['--html', outlierPage, '--now', now]);
+    assert.match(stdout, /Held 1 score\(s\) for review/);
+    assert.match(stderr, /Held BRlTT's 99999 on castle-fireworks for review/);
+    assert.doesNotMatch(stderr, /strict mode/);
+    return (await readJSON('review-queue.json')).pending[0];
+  }
+
+  test('holds an outlier out of all-time.json', async () => {
+    const held = await scrapeOutlier();
+
+    assert.equal((await fireworksScore('BRlTT')).score, 11390);
+    assert.deepEqual(held, {
+      id: held.id,
+      gameId: 'castle-fireworks',
+      username: 'BRlTT',
+      score: 99999,
+      date: '2026-08-23',
+      reasons: ['8.7x the all-time record of 11484']
+    });
+
+    const { stdout } = await runScript(REVIEW, dataDir);
+    assert.match(stdout, new RegExp(`1 score\\(s\\) waiting for review:\\n {2}${held.id} {2}castle-fireworks {2}BRlTT {2}99999`));
+
+    // Nor does it count as a personal best until it's approved
+    const brltt = (await readJSON('users.json')).users.BRlTT.games['castle-fireworks'];
+    assert.notEqual(brltt.bestScore, 99999);
+    assert.ok(brltt.personalBests.every(pb => pb.score !== 99999));
+    const { events } = await readJSON('events/2026-08.json');
+    assert.ok(events.every(e => e.score !== 99999));
+
+    // Seeing the score again doesn't queue it twice
+    await runScript(SCRAPER, dataDir, ['--html', outlierPage, '--now', '2026-08-23T22:00:00.000Z']);
+    assert.equal((await readJSON('review-queue.json')).pending.length, 1);
+    assert.equal((await fireworksScore('BRlTT')).score, 11390);
+  });
+
+  test('keeps a held score off the period boards and share cards', async () => {
+    await scrapeOutlier();
+
+    // The next day's yesterday column ends the 23rd with the score too
+    const nextDayPage = await writePage(dataDir, 'next-day.html', { '<li>BRlTT - 10710</li>': '<li>BRlTT - 99999</li>' }, outlierPage);
+    await runScript(SCRAPER, dataDir, ['--html', nextDayPage, '--now', '2026-08-24T21:00:00.000Z']);
+
+    for (const file of ['aggregates/week.json', 'aggregates/full/week.json']) {
+      const fireworks = (await readJSON(file)).games['castle-fireworks'];
+      assert.ok(fireworks.scores.every(s => s.score !== 99999), file);
+      assert.deepEqual(fireworks.scores.slice(0, 2).map(s => [s.rank, s.username]), [[1, 'BRlTT'], [2, 'Jewelsy']]);
+    }
+
+    const card = await fs.readFile(path.join(dataDir, 'share', 'daily', 'castle-fireworks.svg'), 'utf-8');
+    assert.doesNotMatch(card, /99,999/);
+    assert.match(card, /#1<\/text>\s*<text [^>]*>Jewelsy</);
+  });
+
+  test('approving puts the score on the board, and rebuilds keep it', async () => {
+    const held = await scrapeOutlier();
+
+    const { stdout } = await runScript(REVIEW, dataDir, ['--approve', held.id]);
+    assert.match(stdout, /Approved .* BRlTT {2}99999/);
+    assert.deepEqual(await fireworksScore('BRlTT'), { rank: 1, username: 'BRlTT', score: 99999, achievedOn: '2026-08-23' });
+
+    const queue = await readJSON('review-queue.json');
+    assert.deepEqual(queue.pending, []);
+    assert.equal(queue.decisions[0].decision, 'approved');
+
+    const alltime = await readJSON('aggregates/alltime.json');
+    assert.equal(alltime.games['castle-fireworks'].scores[0].score, 99999);
+
+    const { users } = await readJSON('users.json');
+    const brltt = users.BRlTT.games['castle-fireworks'];
+    assert.equal(brltt.bestScore, 99999);
+    assert.equal(brltt.allTimeRank, 1);
+    assert.deepEqual(brltt.personalBests.at(-1), { date: '2026-08-23', score: 99999, period: null, rank: null });
+    assert.equal(users.kazino.games['castle-fireworks'].allTimeRank, 2);
+
+    const { events } = await readJSON('events/2026-08.json');
+    assert.deepEqual(events.filter(e => e.score === 99999).map(e => e.type).sort(), ['all-time-record', 'personal-best']);
+
+    await runScript(REBUILD, dataDir);
+    assert.equal((await fireworksScore('BRlTT')).score, 99999);
+    assert.deepEqual(await readJSON('review-queue.json'), queue);
+  });
+
+  test('rejected scores stay off the board through later scrapes and rebuilds', async () => {
+    const held = await scrapeOutlier();
+
+    await runScript(REVIEW, dataDir, ['--reject', held.id]);
+    assert.equal((await fireworksScore('BRlTT')).score, 11390);
+
+    await runScript(SCRAPER, dataDir, ['--html', outlierPage, '--now', '2026-08-24T21:00:00.000Z']);
+    await runScript(REBUILD, dataDir);
+    assert.equal((await fireworksScore('BRlTT')).score, 11390);
+
+    const queue = await readJSON('review-queue.json');
+    assert.deepEqual(queue.pending, []);
+    assert.deepEqual(queue.decisions.map(d => [d.id, d.decision]), [[held.id, 'rejected']]);
+  });
+
+  test('refuses ids that are not pending', async () => {
+    await scrapeOutlier();
+
+    await assert.rejects(runScript(REVIEW, dataDir, ['--approve', 'deadbeef']), /No pending score with id deadbeef/);
+    assert.equal((await readJSON('review-queue.json')).pending.length, 1);
+  });
+});
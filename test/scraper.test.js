@@ -0,0 +1,287 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import * as cheerio from 'cheerio';
+
+import { parseScores, parseAllGames, getPacificDate } from '../scripts/scraper.js';
+import { FIXTURES_DIR, FULL_PAGE, PARTIAL_PAGE, SCRAPER, runScript, makeDataDir, removeDataDir } from './helpers.js';
+
+const EMPTY_PAGE = path.join(FIXTURES_DIR, 'highscores-empty.html');
+const REORDERED_PAGE = path.join(FIXTURES_DIR, 'highscores-reordered.html');
+const CLASSLESS_PAGE = path.join(FIXTURES_DIR, 'highscores-classless.html');
+
+// 2pm Pacific on 2026-08-22
+const NOW = '2026-08-22T21:00:00.000Z';
+
+/**
+ * Run the scraper CLI against a saved page, writing into dataDir
+ */
+function runScraper(dataDir, htmlPath, now = NOW) {
+  return runScript(SCRAPER, dataDir, ['--html', htmlPath, '--now', now]);
+}
+
+async function readJSON(filepath) {
+  return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+}
+
+async function exists(filepath) {
+  try {
+    await fs.access(filepath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('parseAllGames', () => {
+  test('parses every game section on the normal page', async () => {
+    const { games, unknownSections } = parseAllGames(await fs.readFile(FULL_PAGE, 'utf-8'));
+
+    assert.deepEqual(Object.keys(games), ['castle-fireworks', 'pirates', 'haunted-mansion', 'jungle-cruise']);
+    assert.deepEqual(unknownSections, []);
+
+    const fireworks = games['castle-fireworks'];
+    assert.equal(fireworks.name, 'Castle Fireworks Remixed');
+    assert.deepEqual(fireworks.today.scores[0], { rank: 1, username: 'BRlTT', score: 10604 });
+    assert.equal(fireworks.today.scores.length, 8);
+    assert.equal(fireworks.highscores.scores.length, 10);
+    assert.equal(fireworks.today.topAvatar, 'a2cba45f90efb916b1113728565ddf72.png');
+    assert.match(fireworks.today.topAvatarUrl, /a2cba45f90efb916b1113728565ddf72\.png$/);
+  });
+
+  test('returns nothing for the empty rollover page', async () => {
+    const { games, unknownSections } = parseAllGames(await fs.readFile(EMPTY_PAGE, 'utf-8'));
+    assert.deepEqual(games, {});
+    assert.deepEqual(unknownSections, []);
+  });
+
+  test('parses only the sections present on a partial page', async () => {
+    const { games } = parseAllGames(await fs.readFile(PARTIAL_PAGE, 'utf-8'));
+    assert.deepEqual(Object.keys(games), ['castle-fireworks', 'pirates']);
+  });
+
+  test('identifies sections by class and heading rather than position', async () => {
+    const { games } = parseAllGames(await fs.readFile(FULL_PAGE, 'utf-8'));
+
+    assert.equal(games['castle-fireworks'].identifiedBy, 'heading');
+    assert.equal(games.pirates.identifiedBy, 'cssClass');
+    assert.equal(games['haunted-mansion'].identifiedBy, 'cssClass');
+    assert.equal(games['jungle-cruise'].identifiedBy, 'cssClass');
+  });
+
+  test('files reordered sections under the right game', async () => {
+    const { games } = parseAllGames(await fs.readFile(REORDERED_PAGE, 'utf-8'));
+
+    assert.deepEqual(Object.keys(games).sort(), ['castle-fireworks', 'jungle-cruise', 'pirates']);
+    assert.equal(games['jungle-cruise'].name, 'Jungle Cruise');
+    assert.equal(games['jungle-cruise'].today.topAvatar, 'f07e30ff639cc695f2a28f2c223cceb5.png');
+    assert.equal(games.pirates.today.topAvatar, 'dc41587b9cd5ae122e108a55218da844.png');
+
+    // The plain section with no heading is the one game without a CSS class
+    assert.equal(games['castle-fireworks'].identifiedBy, 'noClass');
+    assert.equal(games['castle-fireworks'].today.scores[0].username, 'BRlTT');
+  });
+
+  test('keeps unidentified sections instead of mislabeling them', async () => {
+    const { games, unknownSections } = parseAllGames(await fs.readFile(REORDERED_PAGE, 'utf-8'));
+
+    assert.equal(games['haunted-mansion'], undefined);
+    assert.equal(unknownSections.length, 1);
+
+    const [tiki] = unknownSections;
+    assert.equal(tiki.index, 1);
+    assert.deepEqual(tiki.cssClasses, ['tikiroom']);
+    assert.equal(tiki.heading, 'Enchanted Tiki Room');
+    assert.deepEqual(tiki.today.scores, [
+      { rank: 1, username: 'Nayru', score: 42 },
+      { rank: 2, username: 'Dep', score: 17 }
+    ]);
+  });
+
+  test('doesn\'t file an unknown game without a class as Castle Fireworks', async () => {
+    const { games, unknownSections } = parseAllGames(await fs.readFile(CLASSLESS_PAGE, 'utf-8'));
+
+    assert.deepEqual(Object.keys(games).sort(), ['castle-fireworks', 'pirates']);
+    assert.equal(games['castle-fireworks'].identifiedBy, 'heading');
+    assert.equal(games['castle-fireworks'].today.scores[0].username, 'BRlTT');
+
+    assert.equal(unknownSections.length, 1);
+    assert.equal(unknownSections[0].heading, 'Space Mountain');
+    assert.deepEqual(unknownSections[0].cssClasses, []);
+    assert.equal(unknownSections[0].today.scores[0].username, 'Sora');
+  });
+});
+
+describe('parseScores', () => {
+  test('gives tied scores the same rank and skips the ranks they fill', () => {
+    const $ = cheerio.load('<ul><li>Ariel - 500</li><li>Belle - 400</li><li>Mulan - 400</li><li>Jasmine - 300</li></ul>');
+    assert.deepEqual(parseScores($('ul')).map(s => [s.rank, s.username]), [
+      [1, 'Ariel'], [2, 'Belle'], [2, 'Mulan'], [4, 'Jasmine']
+    ]);
+  });
+});
+
+describe('getPacificDate', () => {
+  test('uses the Pacific calendar day of the given instant', () => {
+    assert.equal(getPacificDate(new Date('2026-08-22T21:00:00Z')), '2026-08-22');
+    assert.equal(getPacificDate(new Date('2026-08-23T05:00:00Z')), '2026-08-22');
+    assert.equal(getPacificDate(new Date('2026-08-23T08:00:00Z')), '2026-08-23');
+  });
+});
+
+describe('scraper pipeline (offline replay)', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  test('writes the daily snapshot, all-time scores and users index', async () => {
+    await runScraper(dataDir, FULL_PAGE);
+
+    const snapshot = await readJSON(path.join(dataDir, 'daily', '2026-08-22.json'));
+    assert.equal(snapshot.date, '2026-08-22');
+    assert.equal(snapshot.scrapedAt, NOW);
+    assert.equal(Object.keys(snapshot.games).length, 4);
+    assert.equal(snapshot.games.pirates.today.topAvatar, 'dc41587b9cd5ae122e108a55218da844.png');
+    assert.equal(snapshot.games.pirates.today.topAvatarUrl, undefined);
+    assert.equal(snapshot.games.pirates.identifiedBy, 'cssClass');
+    assert.equal(snapshot.unknownSections, undefined);
+
+    const allTime = await readJSON(path.join(dataDir, 'all-time.json'));
+    assert.equal(allTime.lastUpdated, '2026-08-22');
+    assert.equal(Object.keys(allTime.games).length, 4);
+    const fireworksAllTime = allTime.games['castle-fireworks'];
+    assert.equal(fireworksAllTime.scores.length, 10);
+    assert.ok(fireworksAllTime.scores.every(s => s.achievedOn === '2026-08-22'));
+
+    const users = await readJSON(path.join(dataDir, 'users.json'));
+    assert.equal(users.lastUpdated, '2026-08-22');
+    assert.equal(users.userCount, Object.keys(users.users).length);
+    const britt = users.users.BRlTT;
+    assert.equal(britt.avatar, 'a2cba45f90efb916b1113728565ddf72.png');
+    assert.equal(britt.games['castle-fireworks'].bestScore, 11390);
+    assert.deepEqual(britt.lastAppearance, { game: 'castle-fireworks', rank: 1, date: '2026-08-22' });
+
+    // Offline replays never download avatars
+    assert.deepEqual(await fs.readdir(path.join(dataDir, 'avatars')), []);
+  });
+
+  test('merges a later scrape into all-time scores', async () => {
+    await runScraper(dataDir, FULL_PAGE);
+    await runScraper(dataDir, FULL_PAGE, '2026-08-23T21:00:00.000Z');
+
+    assert.ok(await exists(path.join(dataDir, 'daily', '2026-08-23.json')));
+
+    const allTime = await readJSON(path.join(dataDir, 'all-time.json'));
+    assert.equal(allTime.lastUpdated, '2026-08-23');
+
+    // Today's scores join the board, but existing records keep the day they
+    // were first achieved
+    const fireworks = allTime.games['castle-fireworks'];
+    assert.ok(fireworks.scores.length > 10);
+    assert.equal(fireworks.scores[0].achievedOn, '2026-08-22');
+    fireworks.scores.forEach((s, i) => assert.equal(s.rank, i + 1));
+  });
+
+  test('keeps every intra-day scrape of the today board', async () => {
+    await runScraper(dataDir, FULL_PAGE, '2026-08-22T18:00:00.000Z');
+    await runScraper(dataDir, PARTIAL_PAGE, '2026-08-22T15:00:00.000Z');
+    await runScraper(dataDir, FULL_PAGE, NOW);
+    await runScraper(dataDir, FULL_PAGE, NOW);
+
+    const intraday = await readJSON(path.join(dataDir, 'intraday', '2026-08-22.json'));
+    assert.equal(intraday.date, '2026-08-22');
+    assert.deepEqual(
+      intraday.scrapes.map(s => s.scrapedAt),
+      ['2026-08-22T15:00:00.000Z', '2026-08-22T18:00:00.000Z', NOW]
+    );
+
+    // Partial scrapes are kept too, even though they never replace the daily snapshot
+    assert.deepEqual(Object.keys(intraday.scrapes[0].games), ['castle-fireworks', 'pirates']);
+
+    const latest = intraday.scrapes[2].games['castle-fireworks'];
+    assert.equal(latest.topAvatar, 'a2cba45f90efb916b1113728565ddf72.png');
+    assert.deepEqual(latest.scores[0], { rank: 1, username: 'BRlTT', score: 10604 });
+  });
+
+  test('finalizes the previous day from the next day\'s yesterday column', async () => {
+    await runScraper(dataDir, FULL_PAGE);
+    const { stdout } = await runScraper(dataDir, FULL_PAGE, '2026-08-23T21:00:00.000Z');
+
+    const previous = await readJSON(path.join(dataDir, 'daily', '2026-08-22.json'));
+    assert.equal(previous.final, true);
+    assert.equal(previous.finalizedFrom, '2026-08-23');
+    assert.equal(previous.finalizedAt, '2026-08-23T21:00:00.000Z');
+
+    const fireworks = previous.games['castle-fireworks'];
+    assert.deepEqual(fireworks.final.scores[0], { rank: 1, username: 'BRlTT', score: 10710 });
+    assert.deepEqual(
+      fireworks.final.lateScores.find(s => s.username === 'Jewelsy'),
+      { username: 'Jewelsy', score: 9670, lastScrapedScore: null }
+    );
+    assert.deepEqual(
+      fireworks.final.lateScores.find(s => s.username === 'BRlTT'),
+      { username: 'BRlTT', score: 10710, lastScrapedScore: 10604 }
+    );
+    assert.match(stdout, /Late score for 2026-08-22 castle-fireworks: Jewelsy 9670 \(not on our last board\)/);
+
+    // The scrape's own day isn't final until the day after
+    const current = await readJSON(path.join(dataDir, 'daily', '2026-08-23.json'));
+    assert.equal(current.final, undefined);
+  });
+
+  test('does not rewrite a finalized day on later scrapes', async () => {
+    await runScraper(dataDir, FULL_PAGE);
+    await runScraper(dataDir, FULL_PAGE, '2026-08-23T09:00:00.000Z');
+    await runScraper(dataDir, FULL_PAGE, '2026-08-23T21:00:00.000Z');
+
+    const previous = await readJSON(path.join(dataDir, 'daily', '2026-08-22.json'));
+    assert.equal(previous.finalizedAt, '2026-08-23T09:00:00.000Z');
+  });
+
+  test('records unidentified sections in the snapshot only', async () => {
+    await runScraper(dataDir, REORDERED_PAGE);
+
+    const snapshot = await readJSON(path.join(dataDir, 'daily', '2026-08-22.json'));
+    assert.equal(snapshot.unknownSections.length, 1);
+    assert.equal(snapshot.unknownSections[0].heading, 'Enchanted Tiki Room');
+    assert.equal(snapshot.unknownSections[0].today.topAvatarUrl, undefined);
+
+    const allTime = await readJSON(path.join(dataDir, 'all-time.json'));
+    assert.deepEqual(Object.keys(allTime.games).sort(), ['castle-fireworks', 'jungle-cruise', 'pirates']);
+  });
+
+  test('skips every write for the empty rollover page', async () => {
+    await runScraper(dataDir, EMPTY_PAGE);
+
+    assert.deepEqual(await fs.readdir(path.join(dataDir, 'daily')), []);
+    assert.equal(await exists(path.join(dataDir, 'all-time.json')), false);
+    assert.equal(await exists(path.join(dataDir, 'users.json')), false);
+  });
+
+  test('does not clobber a complete day with a partial page', async () => {
+    await runScraper(dataDir, FULL_PAGE);
+    await runScraper(dataDir, PARTIAL_PAGE, '2026-08-22T23:00:00.000Z');
+
+    const snapshot = await readJSON(path.join(dataDir, 'daily', '2026-08-22.json'));
+    assert.equal(snapshot.scrapedAt, NOW);
+    assert.equal(Object.keys(snapshot.games).length, 4);
+  });
+
+  test('writes a partial page when nothing better exists for the day', async () => {
+    await runScraper(dataDir, PARTIAL_PAGE);
+
+    const snapshot = await readJSON(path.join(dataDir, 'daily', '2026-08-22.json'));
+    assert.deepEqual(Object.keys(snapshot.games), ['castle-fireworks', 'pirates']);
+
+    const allTime = await readJSON(path.join(dataDir, 'all-time.json'));
+    assert.deepEqual(Object.keys(allTime.games), ['castle-fireworks', 'pirates']);
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { boardCardSvg, recordCardSvg, renderPng } from '../scripts/lib/share-cards.js';
+import { FULL_PAGE, runScraper, makeDataDir, removeDataDir, writePage } from './helpers.js';
+
+// Width and height from a PNG's IHDR chunk
+function pngSize(buffer) {
+  assert.deepEqual([...buffer.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  return [buffer.readUInt32BE(16), buffer.readUInt32BE(20)];
+}
+
+describe('share card templates', () => {
+  const board = {
+    gameName: 'Castle Fireworks Remixed',
+    color: '#ff6b9d',
+    title: 'Daily top 10',
+    subtitle: 'August 22, 2026',
+    avatar: null
+  };
+
+  test('lists the top 10 with shared ranks marked', () => {
+    const scores = Array.from({ length: 12 }, (_, i) => ({ rank: i === 2 ? 2 : i + 1, username: `player${i}`, score: 1000 - i }));
+    const svg = boardCardSvg({ ...board, scores });
+
+    assert.match(svg, /<text[^>]*>Castle Fireworks Remixed<\/text>/);
+    assert.match(svg, /Daily top 10 · August 22, 2026/);
+    assert.equal((svg.match(/>player\d+</g) || []).length, 10);
+    assert.equal((svg.match(/>T2</g) || []).length, 2);
+    assert.match(svg, /fill="#ff6b9d"/);
+  });
+
+  test('escapes usernames', () => {
+    const svg = boardCardSvg({ ...board, scores: [{ rank: 1, username: '<b>&"x"', score: 5 }] });
+    assert.match(svg, /&lt;b&gt;&amp;&quot;x&quot;/);
+    assert.doesNotMatch(svg, /<b>/);
+  });
+
+  test('renders to a PNG without a browser', () => {
+    const svg = recordCardSvg({
+      gameName: 'Castle Fireworks Remixed',
+      color: '#ff6b9d',
+      username: 'BRlTT',
+      score: 12000,
+      previous: { username: 'kazino', score: 11484 },
+      date: 'August 23, 2026',
+      avatar: null
+    });
+    assert.match(svg, /beating kazino's 11,484/);
+    assert.deepEqual(pngSize(renderPng(svg)), [1200, 630]);
+  });
+});
+
+describe('share cards from the scraper', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  test('renders each game\'s daily top 10 and new records, once', async () => {
+    await runScraper(dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const daily = await fs.readdir(path.join(dataDir, 'share', 'daily'));
+    assert.ok(daily.includes('castle-fireworks.png') && daily.includes('castle-fireworks.svg'));
+    const svg = await fs.readFile(path.join(dataDir, 'share', 'daily', 'castle-fireworks.svg'), 'utf-8');
+    assert.match(svg, /Daily top 10 · August 21, 2026/);
+    assert.match(svg, />BRlTT<\/text>/);
+    assert.deepEqual(pngSize(await fs.readFile(path.join(dataDir, 'share', 'daily', 'castle-fireworks.png'))), [1200, 630]);
+
+    // Next day BRlTT breaks the Castle Fireworks record
+    const nextDayPage = await writePage(dataDir, 'next-day.html', { '<li>BRlTT - 10604</li>': '<li>BRlTT - 12000</li>' });
+    await runScraper(dataDir, ['--html', nextDayPage, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const records = await fs.readdir(path.join(dataDir, 'share', 'records'));
+    assert.equal(records.length, 2);
+    const recordSvg = await fs.readFile(path.join(dataDir, 'share', 'records', records.find(f => f.endsWith('.svg'))), 'utf-8');
+    assert.match(recordSvg, /NEW ALL-TIME RECORD/);
+    assert.match(recordSvg, />12,000</);
+
+    const { stdout } = await runScraper(dataDir, ['--html', nextDayPage, '--now', '2026-08-23T22:00:00.000Z']);
+    assert.doesNotMatch(stdout, /Rendered \d+ share card/);
+  });
+});
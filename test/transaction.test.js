@@ -0,0 +1,147 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import {
+  writeFileAtomic,
+  beginTransaction,
+  stageFile,
+  getStagedFile,
+  commitTransaction,
+  recoverTransaction,
+  rollbackLastTransaction
+} from '../scripts/lib/transaction.js';
+import { FULL_PAGE, PARTIAL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir } from './helpers.js';
+
+const ROLLBACK = scriptPath('rollback');
+
+describe('transactions', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const read = (file) => fs.readFile(path.join(dataDir, file), 'utf-8');
+
+  test('writeFileAtomic replaces the file and leaves no temp file behind', async () => {
+    const filepath = path.join(dataDir, 'daily', 'a.json');
+    await writeFileAtomic(filepath, 'one');
+    await writeFileAtomic(filepath, 'two');
+
+    assert.equal(await read('daily/a.json'), 'two');
+    assert.deepEqual(await fs.readdir(path.join(dataDir, 'daily')), ['a.json']);
+  });
+
+  test('staged files are only written on commit', async () => {
+    await fs.writeFile(path.join(dataDir, 'a.json'), 'old a');
+
+    const tx = beginTransaction(dataDir);
+    stageFile(tx, path.join(dataDir, 'a.json'), 'new a');
+    stageFile(tx, path.join(dataDir, 'b.json'), 'new b');
+
+    assert.equal(getStagedFile(tx, path.join(dataDir, 'b.json')), 'new b');
+    assert.equal(await read('a.json'), 'old a');
+    await assert.rejects(fs.access(path.join(dataDir, 'b.json')));
+
+    await commitTransaction(tx);
+    assert.equal(await read('a.json'), 'new a');
+    assert.equal(await read('b.json'), 'new b');
+    await assert.rejects(fs.access(path.join(dataDir, '.transaction.json')));
+  });
+
+  test('rollbackLastTransaction restores the previous versions once', async () => {
+    await fs.writeFile(path.join(dataDir, 'a.json'), 'old a');
+
+    const tx = beginTransaction(dataDir);
+    stageFile(tx, path.join(dataDir, 'a.json'), 'new a');
+    stageFile(tx, path.join(dataDir, 'b.json'), 'new b');
+    await commitTransaction(tx);
+
+    const manifest = await rollbackLastTransaction(dataDir);
+    assert.deepEqual(manifest.files, [
+      { file: 'a.json', existed: true },
+      { file: 'b.json', existed: false }
+    ]);
+    assert.equal(await read('a.json'), 'old a');
+    await assert.rejects(fs.access(path.join(dataDir, 'b.json')));
+
+    assert.equal(await rollbackLastTransaction(dataDir), null);
+  });
+
+  test('recoverTransaction rolls back a commit interrupted part way', async () => {
+    // A crash after a.json was renamed into place but before b.json was
+    await fs.mkdir(path.join(dataDir, '.backup'));
+    await fs.writeFile(path.join(dataDir, '.backup', 'a.json'), 'old a');
+    await fs.writeFile(path.join(dataDir, 'a.json'), 'new a');
+    await fs.writeFile(path.join(dataDir, '.transaction.json'), JSON.stringify({
+      startedAt: '2026-08-22T21:00:00.000Z',
+      files: [{ file: 'a.json', existed: true }, { file: 'b.json', existed: false }]
+    }));
+
+    const journal = await recoverTransaction(dataDir);
+    assert.equal(journal.startedAt, '2026-08-22T21:00:00.000Z');
+    assert.equal(await read('a.json'), 'old a');
+    await assert.rejects(fs.access(path.join(dataDir, '.transaction.json')));
+
+    assert.equal(await recoverTransaction(dataDir), null);
+  });
+});
+
+describe('scraper writes', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  const read = (file) => fs.readFile(path.join(dataDir, file), 'utf-8');
+
+  test('rollback undoes the last run across snapshot, all-time and users', async () => {
+    await runScript(SCRAPER, dataDir, ['--html', PARTIAL_PAGE, '--now', '2026-08-22T18:00:00.000Z']);
+    const before = {
+      snapshot: await read('daily/2026-08-22.json'),
+      allTime: await read('all-time.json'),
+      users: await read('users.json')
+    };
+
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    assert.notEqual(await read('all-time.json'), before.allTime);
+
+    const { stdout } = await runScript(ROLLBACK, dataDir);
+    assert.match(stdout, /Rolled back the write committed at/);
+    assert.equal(await read('daily/2026-08-22.json'), before.snapshot);
+    assert.equal(await read('all-time.json'), before.allTime);
+    assert.equal(await read('users.json'), before.users);
+  });
+
+  test('the next run recovers from a crash mid-commit', async () => {
+    await runScript(SCRAPER, dataDir, ['--html', PARTIAL_PAGE, '--now', '2026-08-22T18:00:00.000Z']);
+    const allTime = await read('all-time.json');
+
+    // Leave all-time.json half-committed with a journal pointing at the backup
+    await fs.mkdir(path.join(dataDir, '.backup'), { recursive: true });
+    await fs.writeFile(path.join(dataDir, '.backup', 'all-time.json'), allTime);
+    await fs.writeFile(path.join(dataDir, 'all-time.json'), '{"truncat');
+    await fs.writeFile(path.join(dataDir, '.transaction.json'), JSON.stringify({
+      startedAt: '2026-08-22T20:00:00.000Z',
+      files: [{ file: 'all-time.json', existed: true }]
+    }));
+
+    const { stderr } = await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    assert.match(stderr, /Rolled back an interrupted write from 2026-08-22T20:00:00.000Z/);
+
+    const updated = JSON.parse(await read('all-time.json'));
+    assert.ok(updated.games.pirates.scores.length > 0);
+    await assert.rejects(fs.access(path.join(dataDir, '.transaction.json')));
+  });
+});
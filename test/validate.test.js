@@ -0,0 +1,96 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { validateData } from '../scripts/lib/schemas.js';
+import { writeDataFile } from '../scripts/scraper.js';
+import { FULL_PAGE, SCRAPER, scriptPath, runScript, makeDataDir, removeDataDir } from './helpers.js';
+
+const VALIDATE = scriptPath('validate');
+
+const board = { topAvatar: null, scores: [{ rank: 1, username: 'Nayru', score: 100 }] };
+
+describe('validateData', () => {
+  test('accepts a well-formed daily snapshot', () => {
+    const snapshot = {
+      date: '2026-08-22',
+      scrapedAt: '2026-08-22T21:00:00.000Z',
+      games: { pirates: { name: 'Pirates of the Caribbean', today: board, yesterday: board, highscores: board } }
+    };
+    assert.deepEqual(validateData('daily-snapshot', snapshot), []);
+  });
+
+  test('reports violations with their JSON path', () => {
+    const snapshot = {
+      date: '2026-8-22',
+      scrapedAt: '2026-08-22T21:00:00.000Z',
+      games: {
+        pirates: {
+          name: 'Pirates of the Caribbean',
+          today: { topAvatar: null, scores: [{ rank: 1, username: 'Nayru', score: '100' }] },
+          yesterday: board,
+          highscores: board
+        }
+      }
+    };
+
+    assert.deepEqual(validateData('daily-snapshot', snapshot), [
+      '/date: must match pattern "^\\d{4}-\\d{2}-\\d{2}$"',
+      '/games/pirates/today/scores/0/score: must be integer'
+    ]);
+  });
+
+  test('requires the finalization fields on a final day', () => {
+    const snapshot = { date: '2026-08-22', scrapedAt: null, games: {}, final: true };
+    const [violation] = validateData('daily-snapshot', snapshot);
+    assert.equal(violation, '/: must have properties finalizedFrom, finalizedAt when property final is present');
+  });
+});
+
+describe('data validation', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await makeDataDir();
+  });
+
+  afterEach(async () => {
+    await removeDataDir(dataDir);
+  });
+
+  test('everything the scraper writes passes validation', async () => {
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-20T21:00:00.000Z']);
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-23T21:00:00.000Z']);
+
+    const { stdout } = await runScript(VALIDATE, dataDir);
+    assert.match(stdout, /98 file\(s\) checked, 0 invalid/);
+  });
+
+  test('reports the file and path of each violation and fails', async () => {
+    await runScript(SCRAPER, dataDir, ['--html', FULL_PAGE, '--now', '2026-08-22T21:00:00.000Z']);
+
+    const usersPath = path.join(dataDir, 'users.json');
+    const users = JSON.parse(await fs.readFile(usersPath, 'utf-8'));
+    users.users.BRlTT.games['castle-fireworks'].bestScore = -5;
+    await fs.writeFile(usersPath, JSON.stringify(users));
+
+    await assert.rejects(runScript(VALIDATE, dataDir), (error) => {
+      assert.equal(error.code, 1);
+      assert.match(error.stdout, /users\.json: \/users\/BRlTT\/games\/castle-fireworks\/bestScore: must be >= 0/);
+      assert.match(error.stdout, /1 invalid/);
+      return true;
+    });
+  });
+
+  test('refuses to write a data file that fails validation', async () => {
+    const filepath = path.join(dataDir, 'users.json');
+
+    await assert.rejects(
+      writeDataFile(filepath, 'users', { lastUpdated: '2026-08-22', users: {} }),
+      /Refusing to write .*users\.json: 1 schema violation\(s\)\n {2}\/: must have required property 'userCount'/
+    );
+    await assert.rejects(fs.access(filepath));
+  });
+});